@@ -0,0 +1,95 @@
+// pH from the acids and bases dissolved in a tile, by charge balance.
+//
+// Materials describe their acid/base behaviour with an optional `acidBase` block:
+//   pKa      dissociation constants of the fully protonated form, strongest first
+//            (HCl [-6]; H2SO4 [-3, 1.99]; the carbonate system [6.35, 10.33])
+//   charge   charge of that fully protonated form (NH4+ is 1; default 0)
+//   cations  strong counter-ion charge per unit (Na+ in NaOH and NaHCO3 is 1, in Na2CO3 it is 2)
+// So NaHCO3 and Na2CO3 are the carbonate system with one or two Na+, and buffer like it.
+// Concentrations are moles in the `species` bag over the solution volume in litres: water and other
+// liquid or aqueous species (moles converted through molar mass and density, see units.js), plus
+// the tile's moisture. A tile with less than MIN_VOLUME of solution per litre of tile (a dry tile,
+// or one holding only traces that diffused in) reads neutral.
+
+import { createUnits, tileVolumeOf } from './units.js';
+
+export const NEUTRAL_PH = 7;
+export const MOISTURE_VOLUME = 0.5; // litres of solution per litre of tile implied by a fully wet tile
+
+const PKW = 14;
+const MIN_VOLUME = 0.001;
+const TRACE = 1e-9;
+const ITERATIONS = 30;
+
+export function createAcidBasePass(materialRegistry){
+  const props = new Map();
+  let propsFor = null;
+  const systems = [];
+  const units = createUnits(materialRegistry);
+
+  function propsOf(id){
+    if(propsFor !== materialRegistry.materials){ props.clear(); propsFor = materialRegistry.materials; }
+    let p = props.get(id);
+    if(!p){
+      const mat = materialRegistry.get(id);
+      const ab = mat?.acidBase;
+      p = {
+        solvent: mat?.phaseSTP === 'l' || mat?.phaseSTP === 'aq',
+        Ka: ab?.pKa ? ab.pKa.map(pKa => Math.pow(10, -pKa)) : null,
+        charge: ab?.charge || 0,
+        cations: ab?.cations || 0
+      };
+      props.set(id, p);
+    }
+    return p;
+  }
+
+  // Net charge of the solution at hydrogen-ion concentration h; falls as h falls.
+  function netCharge(h, cations){
+    let q = h - Math.pow(10, -PKW) / h + cations;
+    for(const { C, Ka, charge } of systems){
+      let term = 1, sum = 1, lost = 0;
+      for(let i=0;i<Ka.length;i++){ term *= Ka[i] / h; sum += term; lost += (i + 1) * term; }
+      q += C * (charge - lost / sum);
+    }
+    return q;
+  }
+
+  // Litres of solution in `tile`, a control volume of `tileVolume` litres.
+  function solutionVolumeOf(tile, tileVolume){
+    let volume = Math.max(0, tile.moisture || 0) * MOISTURE_VOLUME * tileVolume;
+    for(const [id, qty] of Object.entries(tile.species)){
+      if(qty > 0 && propsOf(id).solvent) volume += units.litresOf(id, qty) || 0;
+    }
+    return volume;
+  }
+
+  function pHOf(tile, tileVolume){
+    const volume = solutionVolumeOf(tile, tileVolume);
+    if(volume < MIN_VOLUME * tileVolume) return NEUTRAL_PH;
+    systems.length = 0;
+    let cations = 0;
+    for(const [id, qty] of Object.entries(tile.species)){
+      if(!(qty > TRACE)) continue;
+      const p = propsOf(id);
+      const C = qty / volume;
+      if(p.cations) cations += p.cations * C;
+      if(p.Ka) systems.push({ C, Ka: p.Ka, charge: p.charge });
+    }
+    if(!systems.length && !cations) return NEUTRAL_PH;
+    let lo = -2, hi = 16; // pH bracket
+    for(let i=0;i<ITERATIONS;i++){
+      const mid = (lo + hi) / 2;
+      if(netCharge(Math.pow(10, -mid), cations) > 0) lo = mid; else hi = mid;
+    }
+    return (lo + hi) / 2;
+  }
+
+  return function acidBasePass(world){
+    const tileVolume = tileVolumeOf(world);
+    for(let y=0;y<world.h;y++) for(let x=0;x<world.w;x++){
+      const t = world.grid[y][x];
+      t.pH = Math.max(0, Math.min(14, pHOf(t, tileVolume)));
+    }
+  };
+}
@@ -0,0 +1,72 @@
+// Catalysts: species or solids that enable or speed up reactions without being consumed.
+//
+// A material becomes a catalyst with a `catalyst` block:
+//   { tags: ['catalyst_MnO2'], multiplier: 6, saturation: 0.1, poisons: { 'Pb(NO3)2': 0.8 }, deactivationPerUnit: 0.01 }
+// Reactions opt in with `rates.requiresTag` (needs a catalyst carrying that tag) and/or
+// `rates.catalysts` (per-catalyst rate multipliers, overriding the material's own multiplier).
+
+const CATALYST_BAGS = ['solids', 'species'];
+
+function amountOf(tile, id){
+  return (tile.solids[id] || 0) + (tile.species[id] || 0);
+}
+
+// 0..1: how much of the catalyst's surface is free to work, after coverage, poisoning and wear.
+function strengthOf(tile, id, cat){
+  const coverage = Math.min(1, amountOf(tile, id) / (cat.saturation ?? 0.1));
+  let poisoning = 0;
+  for(const [poison, power] of Object.entries(cat.poisons || {})){
+    const qty = amountOf(tile, poison) + (tile.gas[poison] || 0);
+    if(qty > 0) poisoning += power * Math.min(1, qty / (cat.saturation ?? 0.1));
+  }
+  const wear = tile.catalystWear?.[id] || 0;
+  return Math.max(0, coverage * (1 - wear) * (1 - Math.min(1, poisoning)));
+}
+
+// Returns null for reactions that ignore catalysts, else `{ factor, used }`.
+// A factor of 0 means a required catalyst is missing, fully poisoned or worn out.
+export function catalysisFor(tile, rx, materialRegistry){
+  const tagNeeded = rx.rates?.requiresTag;
+  const listed = rx.rates?.catalysts;
+  if(!tagNeeded && !listed) return null;
+  const used = [];
+  const seen = new Set();
+  for(const bag of CATALYST_BAGS){
+    for(const [id, qty] of Object.entries(tile[bag])){
+      if(qty <= 0 || seen.has(id)) continue;
+      seen.add(id);
+      const cat = materialRegistry.get(id)?.catalyst;
+      if(!cat) continue;
+      const tagged = !!tagNeeded && (cat.tags || []).includes(tagNeeded);
+      if(!tagged && !(listed && id in listed)) continue;
+      const strength = strengthOf(tile, id, cat);
+      if(strength <= 0) continue;
+      used.push({ id, strength, multiplier: listed?.[id] ?? cat.multiplier ?? 1, tagged });
+    }
+  }
+  let factor;
+  if(tagNeeded){
+    factor = used.filter(c => c.tagged).reduce((sum, c) => sum + c.multiplier * c.strength, 0);
+    for(const c of used) if(!c.tagged) factor *= 1 + (c.multiplier - 1) * c.strength;
+  } else {
+    factor = used.reduce((f, c) => f * (1 + (c.multiplier - 1) * c.strength), 1);
+  }
+  return { factor, used };
+}
+
+// Deactivation: each catalyst wears in proportion to its share of the turnover.
+export function wearCatalysts(tile, catalysis, extent, materialRegistry){
+  if(!catalysis?.used.length || extent <= 0) return;
+  const total = catalysis.used.reduce((sum, c) => sum + c.strength, 0) || 1;
+  for(const c of catalysis.used){
+    const rate = materialRegistry.get(c.id)?.catalyst?.deactivationPerUnit || 0;
+    if(!rate) continue;
+    if(!tile.catalystWear) tile.catalystWear = {};
+    tile.catalystWear[c.id] = Math.min(1, (tile.catalystWear[c.id] || 0) + rate * extent * (c.strength / total));
+  }
+}
+
+// Remaining activity (0..1) of a catalyst on a tile, for display.
+export function catalystActivity(tile, id){
+  return 1 - (tile.catalystWear?.[id] || 0);
+}
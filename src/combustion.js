@@ -0,0 +1,124 @@
+// Ignition, flame spread and suppression, driven by material data.
+//
+// A fuel is any material with `flammability` low/medium/high and an `ignition_C`. A tile catches
+// fire when it holds fuel at or above that temperature and an oxidizer: air (`tile.oxygen`) or a
+// material tagged `oxidizer`, which also speeds spread by `statusHooks.boostCombustion`. Reacting
+// materials with `statusHooks.spark` (K and Na on water) count as that much extra heat toward
+// ignition. The chemistry itself stays in reactions that `requires: { ignition: true }`; burning
+// tiles draw air oxygen into their `gas` bag so those reactions have O2 to consume, and the reactor
+// releases each fuel's `heatCombust_kJ_per_mol`.
+// Fire spreads to neighbours holding fuel at a rate set by the fuel's flammability, and goes out when
+// the fuel or oxidizer runs out or when `statusHooks.extinguishPower` (water) and `smotherFlames`
+// (CO2) outweigh the fuel.
+
+import { kindOf } from './tileKinds.js';
+
+const FUEL_LEVELS = { low: 1, medium: 3, high: 8 }; // flame spread, 1/s
+const MIN_FUEL = 0.02;
+const MIN_AIR_OXYGEN = 0.12;
+const MIN_OXIDIZER = 0.02;
+const SPARK_HEAT_C = 500;      // ignition head start per unit of spark strength
+const SPARK_TEMP_C = 800;      // a deliberate spark briefly heats the tile this far
+const AIR_O2_UNITS = 2;        // O2 units per unit of air oxygen fraction
+const AIR_DRAW_RATE = 5;       // 1/s
+const BAGS = ['gas', 'species', 'solids'];
+
+export function createCombustionPass(materialRegistry, reactionRegistry){
+  const info = new Map();
+  let infoFor = null;
+  let states = [];
+
+  function infoOf(id){
+    if(infoFor !== materialRegistry.materials){ info.clear(); infoFor = materialRegistry.materials; }
+    let p = info.get(id);
+    if(!p){
+      const mat = materialRegistry.get(id);
+      const hooks = mat?.statusHooks || {};
+      p = {
+        spread: mat?.ignition_C !== undefined ? (FUEL_LEVELS[mat?.flammability] || 0) : 0,
+        ignition: mat?.ignition_C,
+        oxidizer: mat?.flammability === 'oxidizer' || (mat?.hazardTags || []).includes('oxidizer'),
+        boost: hooks.boostCombustion || 0,
+        spark: hooks.spark || 0,
+        suppress: (hooks.extinguishPower || 0) + (hooks.smotherFlames || 0)
+      };
+      info.set(id, p);
+    }
+    return p;
+  }
+
+  // Fuel, oxidizer and suppressant levels in one tile; null when there is nothing to burn.
+  function assess(tile){
+    let fuel = 0, spread = 0, ignitionAt = Infinity, oxidizer = 0, boost = 0, suppress = 0;
+    for(const bag of BAGS){
+      for(const [id, qty] of Object.entries(tile[bag])){
+        if(!(qty > 0)) continue;
+        const p = infoOf(id);
+        if(p.spread){ fuel += qty; spread = Math.max(spread, p.spread); ignitionAt = Math.min(ignitionAt, p.ignition); }
+        if(p.oxidizer){ oxidizer += qty; boost += qty * p.boost; }
+        if(p.suppress) suppress += qty * p.suppress;
+      }
+    }
+    if(fuel < MIN_FUEL) return null;
+    const air = (tile.oxygen || 0) >= MIN_AIR_OXYGEN;
+    return {
+      spread: spread * (1 + Math.min(2, boost)), ignitionAt,
+      oxidized: air || oxidizer >= MIN_OXIDIZER,
+      suppressed: suppress > fuel + 0.1
+    };
+  }
+
+  // Materials with a spark hook only count while a reaction is consuming them here.
+  function sparkHeat(tile){
+    let spark = 0;
+    for(const entry of tile._activity || []){
+      if(entry.direction === 'reverse') continue;
+      for(const id of Object.keys(reactionRegistry.get(entry.id)?.stoich?.reactants || {})) spark = Math.max(spark, infoOf(id).spark);
+    }
+    return spark * SPARK_HEAT_C;
+  }
+
+  function drawAir(tile, dt){
+    const local = (tile.oxygen || 0) * AIR_O2_UNITS;
+    if((tile.gas.O2 || 0) >= local) return;
+    const pull = Math.min(local - (tile.gas.O2 || 0), local * AIR_DRAW_RATE * dt);
+    tile.gas.O2 = (tile.gas.O2 || 0) + pull;
+    tile.oxygen -= pull / AIR_O2_UNITS;
+  }
+
+  return function combustionPass(world, dt){
+    const w = world.w;
+    states.length = w * world.h;
+    for(let y=0;y<world.h;y++) for(let x=0;x<w;x++){
+      const t = world.grid[y][x];
+      states[y*w+x] = kindOf(t).holds ? assess(t) : null;
+    }
+    for(let y=0;y<world.h;y++) for(let x=0;x<w;x++){
+      const t = world.grid[y][x]; const s = states[y*w+x];
+      if(!s){ t.ignited = false; if(t._flameExposure) t._flameExposure = 0; continue; }
+      if(t.ignited){
+        if(!s.oxidized || s.suppressed){ t.ignited = false; t._flameExposure = 0; continue; }
+        drawAir(t, dt);
+        for(const [dx, dy] of [[1,0],[-1,0],[0,1],[0,-1]]){
+          const nb = world.tile(x+dx, y+dy); const ns = nb && states[(y+dy)*w+x+dx];
+          if(!ns || nb.ignited || !ns.oxidized || ns.suppressed) continue;
+          nb._flameExposure = (nb._flameExposure || 0) + ns.spread * dt;
+        }
+      } else if(s.oxidized && !s.suppressed && t.temp + sparkHeat(t) >= s.ignitionAt){
+        t.ignited = true;
+      }
+    }
+    for(let y=0;y<world.h;y++) for(let x=0;x<w;x++){
+      const t = world.grid[y][x];
+      if(!t.ignited && (t._flameExposure || 0) >= 1){ t.ignited = true; t._flameExposure = 0; }
+    }
+  };
+}
+
+// A deliberate spark: heats the tile past most ignition points and lights it. The combustion pass
+// puts it straight out again if there is nothing to burn.
+export function sparkTile(tile){
+  if(!kindOf(tile).holds) return;
+  tile.temp = Math.max(tile.temp, SPARK_TEMP_C);
+  tile.ignited = true;
+}
@@ -0,0 +1,101 @@
+// Diffusion of every species, gas and (optionally) solid present in the world.
+//
+// Coefficients come from material data: an explicit `diffusivity` wins; otherwise gases get
+// GAS_BASE scaled by how light they are relative to CO2, and liquids/aqueous species get LIQUID_BASE.
+// Amounts in the `solids` bag stay put unless `diffuseSolids` is set; a material that is solid at
+// STP still diffuses once it is dissolved in `species`.
+// Walls and porous tiles scale the exchange across an edge (see tileKinds.js). Coefficients are
+// for default-sized tiles and are scaled to the world's tiles (see units.js), in as many substeps
+// as it takes to stay under MAX_COEFF.
+// All passes share one scratch buffer, so the per-key cost is arithmetic only.
+
+import { fillPermeability } from './tileKinds.js';
+import { exchangeScaleOf } from './units.js';
+
+const GAS_BASE = 0.2;
+const LIQUID_BASE = 0.08;
+const SOLID_BASE = 0.005;
+const REF_GAS_DENSITY = 0.00198; // CO2, g/cm^3
+const TRACE = 1e-12; // amounts below this are dropped instead of being smeared across the grid
+const MAX_COEFF = 0.24; // keeps the explicit 4-neighbour scheme stable
+
+let scratch = null;
+let values = null;
+let perm = null;
+
+function buffers(n){
+  if(!scratch || scratch.length !== n){ scratch = new Float64Array(n); values = new Float64Array(n); perm = new Float64Array(n); }
+  return scratch;
+}
+
+// Edge permeability for the current world, or null when every tile is open.
+function permeability(world){
+  buffers(world.w*world.h);
+  return fillPermeability(world, perm) ? null : perm;
+}
+
+// Spreads one key of one bag; `coeff` is the fraction of a difference exchanged per pass.
+export function diffuse(world, key, coeff=0.08, bag='species'){
+  diffuseKey(world, key, coeff, bag, permeability(world));
+}
+
+function diffuseKey(world, key, coeff, bag, perm){
+  const w=world.w, h=world.h, n=w*h;
+  const delta=buffers(n);
+  let any=false;
+  for(let y=0;y<h;y++) for(let x=0;x<w;x++){ const q=world.grid[y][x][bag][key]||0; values[y*w+x]=q; if(q>0) any=true; }
+  if(!any) return;
+  delta.fill(0);
+  for(let y=0;y<h;y++) for(let x=0;x<w;x++){
+    const i=y*w+x; const q=values[i];
+    if(x+1<w){ const dq=coeff*(perm?Math.min(perm[i],perm[i+1]):1)*(q-values[i+1]); delta[i]-=dq; delta[i+1]+=dq; }
+    if(y+1<h){ const dq=coeff*(perm?Math.min(perm[i],perm[i+w]):1)*(q-values[i+w]); delta[i]-=dq; delta[i+w]+=dq; }
+  }
+  for(let y=0;y<h;y++) for(let x=0;x<w;x++){
+    const i=y*w+x; const d=delta[i]; if(!d) continue;
+    const t=world.grid[y][x]; const next=Math.max(0, values[i]+d);
+    if(next>TRACE) t[bag][key]=next; else if(key in t[bag]) delete t[bag][key];
+  }
+}
+
+export function createDiffusionPass(materialRegistry, { diffuseSolids = false } = {}){
+  const coeffs = new Map();
+  let coeffsFor = null;
+
+  function coefficientOf(id, bag){
+    if(coeffsFor !== materialRegistry.materials){ coeffs.clear(); coeffsFor = materialRegistry.materials; }
+    const key = `${bag}:${id}`;
+    if(coeffs.has(key)) return coeffs.get(key);
+    const mat = materialRegistry.get(id);
+    // ids no loaded pack defines stay where they are instead of stopping the step
+    let coeff;
+    if(!mat){ materialRegistry.reportUnknown(id, 'diffusion'); coeff = 0; }
+    else if(mat.diffusivity !== undefined) coeff = mat.diffusivity;
+    else if(bag === 'gas'){
+      const lightness = mat?.density_g_cm3 ? Math.pow(REF_GAS_DENSITY / mat.density_g_cm3, 0.25) : 1;
+      coeff = GAS_BASE * Math.max(0.5, Math.min(1.25, lightness));
+    } else if(bag === 'solids') coeff = diffuseSolids ? SOLID_BASE : 0;
+    else coeff = LIQUID_BASE;
+    coeff = Math.max(0, Math.min(MAX_COEFF, coeff));
+    coeffs.set(key, coeff);
+    return coeff;
+  }
+
+  const bags = diffuseSolids ? ['species', 'gas', 'solids'] : ['species', 'gas'];
+  return function diffuseAll(world){
+    const perm = permeability(world);
+    const scale = exchangeScaleOf(world);
+    for(const bag of bags){
+      const keys = new Set();
+      for(let y=0;y<world.h;y++) for(let x=0;x<world.w;x++){
+        for(const k in world.grid[y][x][bag]) keys.add(k);
+      }
+      for(const key of keys){
+        const coeff = coefficientOf(key, bag) * scale;
+        if(!(coeff > 0)) continue;
+        const steps = Math.ceil(coeff / MAX_COEFF);
+        for(let s=0;s<steps;s++) diffuseKey(world, key, coeff / steps, bag, perm);
+      }
+    }
+  };
+}
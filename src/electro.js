@@ -0,0 +1,121 @@
+// Electric current between electrodes, through whatever conducts in between.
+//
+// Electrode tiles (see tileKinds.js) are held at `tile.electrode.voltage`: the anode at the supply
+// voltage, the cathode at 0. Every other tile conducts according to its contents: Σ amount · the
+// material's `electricalConductivity` level, plus amount · `statusHooks.conductivityBoost` for
+// electrolytes such as dissolved NaCl. Gases do not conduct and walls insulate. Potentials are
+// relaxed a fixed number of iterations per tick (warm-started from the last tick), then each tile
+// gets `tile.current`, the current passing through it, and `tile.power`, the electrical power it
+// dissipates, which also heats it. Reactions use these through `requires.power` and
+// `rates.electrons` (see kinetics.js).
+
+import { kindOf } from './tileKinds.js';
+import { tileVolumeOf } from './units.js';
+
+const CONDUCTIVITY_LEVELS = { insulator: 0, poor: 0.05, semi: 0.2, good: 1, excellent: 5 };
+const ELECTRODE_CONDUCTANCE = 10; // the electrode plate itself, on top of its contents
+const BAGS = ['species', 'solids'];
+const TRACE = 1e-9;
+
+export function createElectricPass(materialRegistry, heatModel, {
+  iterations = 30, // relaxation sweeps per tick
+  omega = 1.8      // over-relaxation factor, 1..2
+} = {}){
+  const info = new Map();
+  let infoFor = null;
+  let G = null, Gx = null, Gy = null, phi = null, fixed = null, live = false;
+
+  function conductivityOf(id){
+    if(infoFor !== materialRegistry.materials){ info.clear(); infoFor = materialRegistry.materials; }
+    let g = info.get(id);
+    if(g === undefined){
+      const mat = materialRegistry.get(id);
+      g = (CONDUCTIVITY_LEVELS[mat?.electricalConductivity] || 0) + (mat?.statusHooks?.conductivityBoost || 0);
+      info.set(id, g);
+    }
+    return g;
+  }
+
+  function conductanceOf(tile){
+    if(!kindOf(tile).holds) return 0;
+    let g = tile.kind === 'electrode' ? ELECTRODE_CONDUCTANCE : 0;
+    for(const bag of BAGS){
+      for(const [id, qty] of Object.entries(tile[bag])){
+        if(qty > 0) g += qty * conductivityOf(id);
+      }
+    }
+    return g;
+  }
+
+  function series(a, b){
+    return a > 0 && b > 0 ? 2 * a * b / (a + b) : 0;
+  }
+
+  function clear(world){
+    for(let y=0;y<world.h;y++) for(let x=0;x<world.w;x++){
+      const t = world.grid[y][x];
+      t.current = 0; t.power = 0;
+    }
+  }
+
+  return function electricPass(world, dt){
+    const volume = tileVolumeOf(world);
+    const w = world.w, h = world.h, n = w * h;
+    if(!G || G.length !== n){
+      G = new Float64Array(n); Gx = new Float64Array(n); Gy = new Float64Array(n);
+      phi = new Float64Array(n); fixed = new Uint8Array(n);
+    }
+    let electrodes = 0;
+    for(let y=0;y<h;y++) for(let x=0;x<w;x++){
+      const i = y*w+x; const t = world.grid[y][x];
+      fixed[i] = t.kind === 'electrode' && t.electrode ? 1 : 0;
+      if(fixed[i]){ phi[i] = t.electrode.voltage || 0; electrodes++; }
+    }
+    if(!electrodes){
+      if(live){ clear(world); phi.fill(0); live = false; }
+      return;
+    }
+    live = true;
+    for(let y=0;y<h;y++) for(let x=0;x<w;x++) G[y*w+x] = conductanceOf(world.grid[y][x]);
+    for(let y=0;y<h;y++) for(let x=0;x<w;x++){
+      const i = y*w+x;
+      Gx[i] = x+1 < w ? series(G[i], G[i+1]) : 0;
+      Gy[i] = y+1 < h ? series(G[i], G[i+w]) : 0;
+    }
+
+    // Successive over-relaxation of Σ g·(φ_neighbour − φ) = 0 on every free tile.
+    for(let it=0;it<iterations;it++){
+      for(let y=0;y<h;y++) for(let x=0;x<w;x++){
+        const i = y*w+x;
+        if(fixed[i]) continue;
+        let gSum = 0, flow = 0;
+        if(x > 0){ gSum += Gx[i-1]; flow += Gx[i-1] * phi[i-1]; }
+        if(x+1 < w){ gSum += Gx[i]; flow += Gx[i] * phi[i+1]; }
+        if(y > 0){ gSum += Gy[i-w]; flow += Gy[i-w] * phi[i-w]; }
+        if(y+1 < h){ gSum += Gy[i]; flow += Gy[i] * phi[i+w]; }
+        if(gSum > 0) phi[i] += omega * (flow / gSum - phi[i]);
+      }
+    }
+
+    // Current through a tile is what flows in (or out, for electrodes that only source or sink);
+    // each edge's dissipation g·Δφ² is shared between its two tiles.
+    for(let y=0;y<h;y++) for(let x=0;x<w;x++){
+      const i = y*w+x;
+      let inflow = 0, outflow = 0, power = 0;
+      const edge = (g, j) => {
+        if(!g) return;
+        const I = g * (phi[i] - phi[j]);
+        if(I > 0) outflow += I; else inflow -= I;
+        power += 0.5 * I * (phi[i] - phi[j]);
+      };
+      if(x > 0) edge(Gx[i-1], i-1);
+      if(x+1 < w) edge(Gx[i], i+1);
+      if(y > 0) edge(Gy[i-w], i-w);
+      if(y+1 < h) edge(Gy[i], i+w);
+      const t = world.grid[y][x];
+      t.current = Math.max(inflow, outflow);
+      t.power = power;
+      if(power > TRACE) t.temp += power * dt / heatModel.heatCapacityOf(t, volume);
+    }
+  };
+}
@@ -0,0 +1,365 @@
+// Headless simulation core: world model, reactor, diffusion and environment passes.
+// No DOM or wall-clock access, so it runs the same in the browser and in Node.
+
+import { catalysisFor, wearCatalysts } from './catalysis.js';
+import { reactionRate, reverseRate, isReversible, FARADAY } from './kinetics.js';
+import { allocateShared } from './scheduler.js';
+import { createThermalPass, createHeatModel } from './thermal.js';
+import { createPhaseChangePass } from './phaseChange.js';
+import { createDiffusionPass } from './diffusion.js';
+import { createPressurePass, MAX_PRESSURE } from './pressure.js';
+import { kindOf, emitSources } from './tileKinds.js';
+import { createAcidBasePass } from './acidbase.js';
+import { createCombustionPass } from './combustion.js';
+import { createElectricPass } from './electro.js';
+import { createSolubilityPass } from './solubility.js';
+import { DEFAULT_TILE_VOLUME_L, tileVolumeOf } from './units.js';
+import { BAG_OF_PHASE } from './species.js';
+import { createAtomLedger } from './ledger.js';
+
+export { diffuse } from './diffusion.js';
+
+export const FIXED_DT = 1/60; // seconds of sim time per tick
+const SOLID_READS=['solids','species'], GAS_READS=['gas'], SPECIES_READS=['species'];
+const CHARGE_KEY='electric:charge'; // current-driven reactions share the tile's current like a reactant
+const NO_BLOCKERS=Object.freeze([]);
+
+// --- World/Tile ---
+export class Tile{
+  constructor(x,y){
+    this.x=x; this.y=y;
+    this.species={}; this.solids={}; this.gas={};
+    this.temp=20; this.pH=7; this.moisture=0; this.oxygen=0.21;
+    this.surfaceFactor={}; this.pressure=0; this.overpressure=0;
+    this.catalystWear={};
+    this.insulation=0;
+    this.kind='open'; this.source=null; this.electrode=null;
+    this.current=0; this.power=0;
+    this._lastPulseAt=0;
+    this._activity=[];
+    this.history=null; // created by history.js when the tile is subscribed
+  }
+}
+// `tileVolume` is each tile's volume in litres (see units.js); finer grids should use smaller tiles.
+export class World{
+  constructor(w,h,{ tileVolume=DEFAULT_TILE_VOLUME_L }={}){
+    this.w=w; this.h=h; this.tileVolume=tileVolume;
+    this.grid=Array.from({length:h},(_,y)=>Array.from({length:w},(_,x)=>new Tile(x,y)));
+    this.ticks=0; this._accumulator=0;
+    this.shockwaves=[];
+  }
+  tile(x,y){ if(x<0||y<0||x>=this.w||y>=this.h) return null; return this.grid[y][x]; }
+  get time(){ return this.ticks*FIXED_DT; }
+}
+
+export function recordReactionActivity(tile, entry){
+  if(!tile._activity) tile._activity=[];
+  const existing = tile._activity.find(item=>item.id===entry.id);
+  if(existing){
+    existing.extent = Math.min(1, Math.max(existing.extent, entry.extent));
+    existing.rawExtent = (existing.rawExtent || 0) + entry.rawExtent;
+    if(entry.limiter && entry.limiter !== 'rate') existing.limiter = entry.limiter;
+    if(entry.sharedWith) existing.sharedWith = entry.sharedWith;
+    existing.share = Math.min(existing.share ?? 1, entry.share ?? 1);
+    existing.fizz = existing.fizz || entry.fizz;
+    existing.heat = existing.heat || entry.heat;
+    if(entry.catalysts) existing.catalysts = entry.catalysts;
+    existing.rate = entry.rate;
+    if(entry.reversible){
+      existing.forward = (existing.forward || 0) + entry.forward;
+      existing.reverse = (existing.reverse || 0) + entry.reverse;
+      existing.direction = entry.direction;
+      existing.equilibrium = entry.equilibrium;
+    }
+    for(const prod of entry.products){
+      const match = existing.products.find(p=>p.id===prod.id);
+      if(match) match.qty += prod.qty; else existing.products.push({...prod});
+    }
+  } else {
+    entry.products = entry.products.map(p=>({...p}));
+    tile._activity.push(entry);
+  }
+  if(tile._activity.length>6) tile._activity.splice(0, tile._activity.length-6);
+}
+
+// --- Diffusion & environment ---
+export function environmentPass(world){
+  for(let y=0;y<world.h;y++) for(let x=0;x<world.w;x++){
+    const t=world.grid[y][x]; t.oxygen+= (0.21-(t.oxygen||0))*0.02; // air
+    // clamps
+    t.temp=Math.max(-50,Math.min(2000,t.temp));
+  }
+}
+
+// --- Shockwave ---
+// Purely visual: pulses are recorded on `world.shockwaves` for the renderer; the pressure itself
+// lives in the tile's `overpressure` and spreads through the pressure pass.
+export const SHOCKWAVE_LIFETIME_S = 0.6;
+export function makeShockwave(world){
+  return function emitShockwave(x,y,mag){
+    const at=world.time; const list=world.shockwaves||(world.shockwaves=[]);
+    while(list.length && (at-list[0].at>SHOCKWAVE_LIFETIME_S || list.length>=32)) list.shift();
+    list.push({x,y,mag,at});
+  };
+}
+
+// `ledger: true` audits atoms around every pass of every tick (slow; for debugging mass leaks):
+// `engine.ledger.drift()` gives the element totals each pass has moved since the last `reset()`.
+export function createEngine({ materialRegistry, reactionRegistry, thermal={}, diffusion={}, pressure={}, electric={}, shockwaves=true, ledger=false }){
+  const conductHeat = createThermalPass(materialRegistry, thermal);
+  const diffuseAll = createDiffusionPass(materialRegistry, diffusion);
+  const pressurePass = createPressurePass(pressure);
+  const acidBasePass = createAcidBasePass(materialRegistry);
+  const heatModel = createHeatModel(materialRegistry);
+  const phaseChangePass = createPhaseChangePass(materialRegistry, heatModel);
+  const combustionPass = createCombustionPass(materialRegistry, reactionRegistry);
+  const electricPass = createElectricPass(materialRegistry, heatModel, electric);
+  const solubilityPass = createSolubilityPass(materialRegistry);
+  const atoms = ledger ? createAtomLedger(materialRegistry) : null;
+  let drift = {};
+
+  function sourceBagOf(sp){
+    if(materialRegistry.has(sp)) return materialRegistry.bagOf(sp);
+    materialRegistry.reportUnknown(sp, 'source');
+    return null;
+  }
+
+  // Runs one pass of a tick, adding what it moved to `drift[name]` when the ledger is on.
+  function pass(world, name, fn){
+    if(!atoms){ fn(); return; }
+    for(const { element, delta } of atoms.audit(world, fn).changes){
+      const d = drift[name] || (drift[name] = {});
+      d[element] = (d[element] || 0) + delta;
+    }
+  }
+
+  // --- Reactor core (compact) ---
+  // Every species lives in the bag matching its phase. Reactants are read by phase too: gases from
+  // `gas`, solids from `solids` and then `species` (molten or dissolved), everything else from `species`.
+  // Species ids are canonical (the pack loader resolves aliases), so an unknown one throws UnknownSpeciesError.
+  function phaseOf(rx, sp){ return rx.phases?.[sp] || materialRegistry.phaseOf(sp); }
+  function productBag(rx, sp){ return BAG_OF_PHASE[phaseOf(rx, sp)]; }
+  function reactantBags(rx, sp){ const bag=productBag(rx, sp); return bag==='solids' ? SOLID_READS : bag==='gas' ? GAS_READS : SPECIES_READS; }
+  function amountOf(tile, bags, sp){ let q=0; for(const bag of bags) q+=tile[bag][sp]||0; return q; }
+  // Combustion reactions without their own heatPerUnit release the fuels' heat of combustion.
+  function combustionHeat(rx, extent){
+    let joules=0;
+    for(const [sp,n] of Object.entries(rx.stoich?.reactants||{})) joules+=n*extent*(materialRegistry.get(sp)?.heatCombust_kJ_per_mol||0)*1000;
+    return joules;
+  }
+  // Takes up to `qty` of `sp` out of `bag`, deleting the key once it is used up like the other passes do.
+  function drain(tile, bag, sp, qty){
+    const have=tile[bag][sp]||0; const take=Math.min(have, qty);
+    if(have-take>0) tile[bag][sp]=have-take; else delete tile[bag][sp];
+    return take;
+  }
+
+  function takeReactant(tile, rx, sp, qty){
+    for(const bag of reactantBags(rx, sp)){
+      if(!tile[bag][sp]) continue;
+      qty-=drain(tile, bag, sp, qty);
+      if(qty<=0) return;
+    }
+  }
+
+  // Every condition other than its reactants that stops `rx` on `tile`, each `{ kind, need, have }`:
+  // its `rates.requires`, a dead catalyst (`catalysis` from catalysisFor), no exposed surface, or no
+  // current for a current-driven reaction. planReaction runs nothing while any is listed.
+  function conditionBlockers(tile, rx, catalysis){
+    const rates=rx.rates||{}; const req=rates.requires||{};
+    let found=null; const block=(b)=>{ (found||=[]).push(b); };
+    if(req.moisture && tile.moisture<req.moisture) block({ kind:'moisture', need:req.moisture, have:tile.moisture });
+    if(req.oxygen && tile.oxygen<req.oxygen) block({ kind:'oxygen', need:req.oxygen, have:tile.oxygen });
+    if(req.temp && tile.temp<req.temp) block({ kind:'temp', need:req.temp, have:tile.temp });
+    if(req.ignition && !tile.ignited) block({ kind:'ignition', need:true, have:false });
+    if(req.power && (tile.power||0)<req.power) block({ kind:'power', need:req.power, have:tile.power||0 });
+    if(catalysis && catalysis.factor<=0) block({ kind:'catalyst', need:rates.requiresTag || Object.keys(rates.catalysts||{}).join(', '), have:null });
+    const surfKey=rates.surfaceRole;
+    if(surfKey && !((tile.surfaceFactor[surfKey] ?? 0.6)>0)) block({ kind:'surface', species:surfKey, need:'>0', have:tile.surfaceFactor[surfKey] });
+    if(rates.electrons && !((tile.current||0)>0)) block({ kind:'current', need:'>0', have:tile.current||0 });
+    return found || NO_BLOCKERS;
+  }
+
+  // Works out how far `rx` would run this tick on its own, without touching the tile.
+  function planReaction(tile, rx, dt, volume=DEFAULT_TILE_VOLUME_L){
+    const reactants = rx.stoich?.reactants || {};
+    const products = rx.stoich?.products || {};
+    const reversible=isReversible(rx);
+    let reactantsPresent=true;
+    for(const [sp,_n] of Object.entries(reactants)){ if(amountOf(tile, reactantBags(rx, sp), sp)<=0){ reactantsPresent=false; break; } }
+    if(!reactantsPresent && !reversible) return null;
+    const catalysis=catalysisFor(tile, rx, materialRegistry);
+    if(conditionBlockers(tile, rx, catalysis).length) return null;
+    const available={}; for(const sp of Object.keys(reactants)){ available[sp]=amountOf(tile, reactantBags(rx, sp), sp); }
+    let speedup=1;
+    const surfKey=rx.rates?.surfaceRole; if(surfKey){ const exp=tile.surfaceFactor[surfKey] ?? 0.6; speedup*=Math.max(0,Math.min(1,exp)); }
+    if(catalysis) speedup*=catalysis.factor; // catalysts speed both directions, so they never shift equilibrium
+    const rate = reactantsPresent ? reactionRate(rx.rates, tile.temp, available, tile.current, volume)*speedup : 0;
+    let maxExtent = Infinity; let limitingReactant=null; let limitingRatio=Infinity;
+    for(const [sp,n] of Object.entries(reactants)){
+      const denom=n||1; const ratio=(available[sp]||0)/denom;
+      if(ratio<limitingRatio){ limitingRatio=ratio; limitingReactant=sp; }
+      maxExtent=Math.min(maxExtent,ratio);
+    }
+    const theoretical=Math.max(0, rate*dt);
+    const forward=Math.max(0, Math.min(maxExtent, theoretical));
+    let reverse=0, reverseTheoretical=0, reverseMax=Infinity, limitingProduct=null;
+    if(reversible){
+      const stock={}; for(const sp of Object.keys(products)){ stock[sp]=tile[productBag(rx, sp)][sp]||0; }
+      for(const [sp,n] of Object.entries(products)){ const ratio=stock[sp]/(n||1); if(ratio<reverseMax){ reverseMax=ratio; limitingProduct=sp; } }
+      reverseTheoretical=Math.max(0, reverseRate(rx, tile.temp, stock, volume)*speedup*dt);
+      reverse=Math.max(0, Math.min(reverseMax, reverseTheoretical));
+    }
+    if(forward<=0 && reverse<=0) return null;
+    return { rx, reversible, rate, catalysis, forward, reverse, theoretical, reverseTheoretical, maxExtent, limitingReactant, reverseMax, limitingProduct, volume };
+  }
+
+  // Why `rx` would or would not run on `tile` this tick, without touching it: its plan (null when it
+  // would not run), the reactant amounts it sees and every condition holding it back, each
+  // `{ kind, need, have }`. A missing reactant's `need` is what matches the reactants already there
+  // (or one unit of extent when there are none), and `heldIn` names the bag holding it in a phase the
+  // reaction does not read; a blocked plan with no other cause is `rate`.
+  function diagnoseReaction(tile, rx, volume=DEFAULT_TILE_VOLUME_L){
+    const reactants=rx.stoich?.reactants||{};
+    const blockers=[...conditionBlockers(tile, rx, catalysisFor(tile, rx, materialRegistry))];
+    const available={}; for(const sp of Object.keys(reactants)) available[sp]=amountOf(tile, reactantBags(rx, sp), sp);
+    const present=Object.keys(reactants).filter(sp=>available[sp]>0);
+    const scale=present.length ? Math.max(...present.map(sp=>available[sp]/(reactants[sp]||1))) : 1;
+    for(const [sp,n] of Object.entries(reactants)){
+      if(available[sp]>0) continue;
+      // present in a bag this reaction does not read from (a solid that has yet to dissolve)
+      const heldIn=['species','solids','gas'].find(bag=>(tile[bag][sp]||0)>0) || null;
+      blockers.push({ kind:'reactant', species:sp, need:(n||1)*scale, have:0, heldIn });
+    }
+    const plan=planReaction(tile, rx, FIXED_DT, volume);
+    if(!plan && !blockers.length) blockers.push({ kind:'rate', need:null, have:0 });
+    // a reversible reaction can run backwards without its reactants
+    return { plan, available, blockers: plan ? blockers.filter(b=>b.kind!=='reactant') : blockers };
+  }
+
+  // What the plan's net direction takes out of the tile, keyed `bag:species` for the scheduler.
+  function consumptionOf(plan){
+    const {rx}=plan; const net=plan.forward-plan.reverse; const consumes={};
+    if(net>0) for(const [sp,n] of Object.entries(rx.stoich?.reactants||{})){ const key=`${reactantBags(rx, sp).join('+')}:${sp}`; consumes[key]=(consumes[key]||0)+n*net; }
+    if(net>0 && rx.rates?.electrons) consumes[CHARGE_KEY]=rx.rates.electrons*net;
+    else if(net<0) for(const [sp,n] of Object.entries(rx.stoich?.products||{})){ const key=`${productBag(rx, sp)}:${sp}`; consumes[key]=(consumes[key]||0)-n*net; }
+    return consumes;
+  }
+
+  // Applies a plan, with its net extent scaled by `share` when reactants were split with rivals.
+  function applyReaction(tile, plan, now, emitShockwave, share=1, contention=null){
+    const {rx, forward, reverse, theoretical, reverseTheoretical, maxExtent, reverseMax, reversible, catalysis, rate, volume}=plan;
+    const reactants = rx.stoich?.reactants || {};
+    const products = rx.stoich?.products || {};
+    const net=(forward-reverse)*share;
+    const extent=Math.abs(net);
+    const produced=[]; const pushProduct=(id,qty)=>{ if(!qty) return; const existing=produced.find(p=>p.id===id); if(existing) existing.qty+=qty; else produced.push({id,qty}); };
+    if(net>0){
+      for(const [sp,n] of Object.entries(reactants)) takeReactant(tile, rx, sp, n*extent);
+      for(const [sp,n] of Object.entries(products)){ const qty=n*extent; const bag=productBag(rx, sp); pushProduct(sp,qty); tile[bag][sp]=(tile[bag][sp]||0)+qty; }
+    } else if(net<0){
+      for(const [sp,n] of Object.entries(products)) drain(tile, productBag(rx, sp), sp, n*extent);
+      for(const [sp,n] of Object.entries(reactants)){ const qty=n*extent; const bag=productBag(rx, sp); pushProduct(sp,qty); tile[bag][sp]=(tile[bag][sp]||0)+qty; }
+    }
+    if(catalysis) wearCatalysts(tile, catalysis, (forward+reverse)*share, materialRegistry);
+    // heatPerUnit is °C per unit of extent in a litre
+    const fx=rx.effects||{}; if(fx.heatPerUnit) tile.temp+=fx.heatPerUnit*net/volume; else if(net>0 && (rx.tags||[]).includes('combustion')) tile.temp+=combustionHeat(rx, extent)/heatModel.heatCapacityOf(tile, volume);
+    if(net>0){
+      // emitGas / precipitate only mark stoich products; older packs that list a gas or solid there alone still get it
+      for(const [key, bag] of [['emitGas','gas'],['precipitate','solids']]){
+        for(const [sp,m] of Object.entries(fx[key]||{})){ if(sp in products) continue; const qty=m*extent; tile[bag][sp]=(tile[bag][sp]||0)+qty; pushProduct(sp,qty); }
+      }
+      if(fx.pressurePulse){ const {size,cooldownMs,cap}=fx.pressurePulse; if(!tile._lastPulseAt || (now-tile._lastPulseAt)>=cooldownMs){ const added=Math.max(0, Math.min((tile.overpressure||0)+size,cap)-(tile.overpressure||0)); tile.overpressure=(tile.overpressure||0)+added; tile.pressure=Math.min(MAX_PRESSURE,(tile.pressure||0)+added); tile._lastPulseAt=now; emitShockwave?.(tile.x,tile.y,size);} }
+    }
+    let limiter='rate';
+    if(contention) limiter=contention.key.slice(contention.key.indexOf(':')+1);
+    else if(net>0 && maxExtent!==Infinity && forward>=maxExtent-1e-9) limiter=plan.limitingReactant || 'reactant mix';
+    else if(net<0 && reverseMax!==Infinity && reverse>=reverseMax-1e-9) limiter=plan.limitingProduct || 'product mix';
+    const equilibrium = reversible && forward>0 && reverse>0 && Math.abs(forward-reverse)<=0.05*Math.max(forward, reverse);
+    const fizz = net>0 && Boolean((rx.tags||[]).some(tag=>String(tag).includes('gas')) || fx.emitGas || produced.some(p=>phaseOf(rx, p.id)==='g'));
+    const heat = net>0 && Boolean((fx.heatPerUnit||0)>0 || (rx.tags||[]).some(tag=>String(tag).startsWith('exothermic')));
+    const scale=Math.max(theoretical, reverseTheoretical);
+    recordReactionActivity(tile, {
+      id: rx.id,
+      extent: scale>0 ? Math.min(1, extent/scale) : 0,
+      rawExtent: extent,
+      rate,
+      limiter,
+      sharedWith: contention ? contention.with : null,
+      share,
+      products: produced,
+      fizz,
+      heat,
+      catalysts: catalysis ? catalysis.used.map(c=>({ id: c.id, multiplier: c.multiplier, strength: c.strength })) : null,
+      ...(reversible ? { reversible, forward: forward*share, reverse: reverse*share, direction: net>=0 ? 'forward' : 'reverse', equilibrium } : null)
+    });
+    return net;
+  }
+
+  function runReactionOnTile(tile, rx, dt, now, emitShockwave, volume=DEFAULT_TILE_VOLUME_L){
+    const plan=planReaction(tile, rx, dt, volume);
+    return plan ? applyReaction(tile, plan, now, emitShockwave) : 0;
+  }
+
+  // Plans every reaction against the same tile state, splits contested reactants fairly
+  // (or by `rates.priority`), then applies them, so list order never decides who wins.
+  function runReactionsOnTile(tile, reactions, dt, now, emitShockwave, volume=DEFAULT_TILE_VOLUME_L){
+    const plans=[];
+    for(const rx of reactions){ const plan=planReaction(tile, rx, dt, volume); if(plan) plans.push(plan); }
+    if(!plans.length) return;
+    if(plans.length===1){ applyReaction(tile, plans[0], now, emitShockwave); return; }
+    const requests=plans.map(plan=>({ id: plan.rx.id, priority: plan.rx.rates?.priority || 0, consumes: consumptionOf(plan) }));
+    const {scales, contention}=allocateShared(requests, key=>{
+      if(key===CHARGE_KEY) return (tile.current||0)*dt/FARADAY;
+      const i=key.indexOf(':'); return amountOf(tile, key.slice(0,i).split('+'), key.slice(i+1));
+    });
+    plans.forEach((plan, i)=>{ if(scales[i]>0) applyReaction(tile, plan, now, emitShockwave, scales[i], contention[i]); });
+  }
+
+  // One fixed-size tick of sim time. `now` (ms) is derived from the tick counter, never the wall clock.
+  function tick(world, emitShockwave=shockwaves?makeShockwave(world):null){
+    const dt=FIXED_DT; const now=world.time*1000; const volume=tileVolumeOf(world);
+    pass(world, 'emitSources', ()=>emitSources(world, dt, sourceBagOf));
+    pass(world, 'combustionPass', ()=>combustionPass(world, dt));
+    pass(world, 'electricPass', ()=>electricPass(world, dt));
+    pass(world, 'runReactionOnTile', ()=>{
+      for(let y=0;y<world.h;y++) for(let x=0;x<world.w;x++){
+        const t=world.grid[y][x];
+        if(kindOf(t).holds) runReactionsOnTile(t, reactionRegistry.list, dt, now, emitShockwave, volume);
+      }
+    });
+    pass(world, 'conductHeat', ()=>conductHeat(world, dt));
+    pass(world, 'phaseChangePass', ()=>phaseChangePass(world, dt));
+    pass(world, 'solubilityPass', ()=>solubilityPass(world, dt));
+    pass(world, 'environmentPass', ()=>environmentPass(world));
+    pass(world, 'diffuse', ()=>diffuseAll(world));
+    pass(world, 'pressurePass', ()=>pressurePass(world, dt));
+    pass(world, 'acidBasePass', ()=>acidBasePass(world));
+    world.ticks++;
+  }
+
+  // Advances the world by `dt` seconds in FIXED_DT ticks; leftover time carries into the next call.
+  // Tile `_activity` covers every tick run by this call. Returns the number of ticks run.
+  function step(world, dt){
+    world._accumulator=(world._accumulator||0)+Math.max(0, dt||0);
+    const steps=Math.floor(world._accumulator/FIXED_DT+1e-9);
+    if(!steps) return 0;
+    world._accumulator=Math.max(0, world._accumulator-steps*FIXED_DT);
+    for(let y=0;y<world.h;y++) for(let x=0;x<world.w;x++){
+      const t=world.grid[y][x];
+      if(t._activity) t._activity.length=0; else t._activity=[];
+      if(t._transitions) t._transitions.length=0;
+    }
+    const emitShockwave = shockwaves ? makeShockwave(world) : null;
+    for(let s=0;s<steps;s++) tick(world, emitShockwave);
+    return steps;
+  }
+
+  const ledgerHook = atoms && {
+    count: (world) => atoms.count(world),
+    drift: () => Object.fromEntries(Object.entries(drift).map(([name, d]) => [name, { ...d }])),
+    reset(){ drift = {}; }
+  };
+
+  return { step, tick, runReactionOnTile, runReactionsOnTile, planReaction, diagnoseReaction, ledger: ledgerHook || null };
+}
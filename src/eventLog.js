@@ -0,0 +1,92 @@
+// Event log panel: the detector's events (see events.js), newest first, filterable by kind and text.
+// Clicking an entry hands it to `onSelect`, which the page uses to inspect its tile.
+
+import { EVENT_KINDS } from './events.js';
+
+function escapeText(text){
+  return String(text).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+}
+
+export class EventLogComponent {
+  constructor(container, { onSelect } = {}){
+    this.container = container;
+    this.onSelect = onSelect || null;
+    this.kinds = new Set(Object.keys(EVENT_KINDS));
+    this.query = '';
+    this.shown = [];
+    this.lastEvents = null;
+    this.lastSig = '';
+    this._build();
+  }
+
+  _build(){
+    this.container.innerHTML = '';
+    const heading = document.createElement('h4');
+    heading.textContent = 'Events';
+    this.container.appendChild(heading);
+
+    this.filters = document.createElement('div');
+    this.filters.className = 'event-filters';
+    this.kindToggles = {};
+    for(const [kind, label] of Object.entries(EVENT_KINDS)){
+      const toggle = document.createElement('label');
+      toggle.className = `event-kind ${kind}`;
+      const box = document.createElement('input');
+      box.type = 'checkbox';
+      box.checked = true;
+      box.onchange = () => this.setKind(kind, box.checked);
+      toggle.appendChild(box);
+      toggle.appendChild(document.createTextNode(label));
+      this.filters.appendChild(toggle);
+      this.kindToggles[kind] = box;
+    }
+    this.search = document.createElement('input');
+    this.search.type = 'search';
+    this.search.placeholder = 'Filter…';
+    this.search.oninput = () => this.setQuery(this.search.value);
+    this.filters.appendChild(this.search);
+    this.container.appendChild(this.filters);
+
+    this.list = document.createElement('div');
+    this.list.className = 'event-list';
+    this.list.onclick = (event) => {
+      const row = event.target?.closest?.('[data-seq]');
+      const entry = row && this.shown.find(e => String(e.seq) === row.dataset.seq);
+      if(entry) this.onSelect?.(entry);
+    };
+    this.container.appendChild(this.list);
+  }
+
+  setKind(kind, on){
+    if(on) this.kinds.add(kind); else this.kinds.delete(kind);
+    if(this.kindToggles[kind]) this.kindToggles[kind].checked = on;
+    this.lastSig = '';
+    if(this.lastEvents) this.render(this.lastEvents);
+  }
+
+  setQuery(text){
+    this.query = String(text || '').trim().toLowerCase();
+    this.lastSig = '';
+    if(this.lastEvents) this.render(this.lastEvents);
+  }
+
+  // Shows `events` (oldest first, as the detector keeps them); `version` skips unchanged logs.
+  render(events, version){
+    this.lastEvents = events;
+    const sig = `${version ?? ''}|${events.length}|${events[events.length - 1]?.seq ?? ''}`;
+    if(version !== undefined && sig === this.lastSig) return;
+    this.lastSig = version !== undefined ? sig : '';
+    this.shown = events
+      .filter(e => this.kinds.has(e.kind) && (!this.query || e.message.toLowerCase().includes(this.query)))
+      .reverse();
+    this.list.innerHTML = this.shown.length
+      ? this.shown.map(e => `
+        <div class="event-row ${e.kind}" data-seq="${e.seq}" title="Inspect (${e.x},${e.y})">
+          <span class="event-time">${e.t.toFixed(1)}s</span>
+          <span class="event-kind-tag">${EVENT_KINDS[e.kind] || e.kind}</span>
+          <span class="event-message">${escapeText(e.message)}</span>
+        </div>
+      `).join('')
+      : `<div class="muted">${events.length ? 'No events match the filter' : 'Nothing has happened yet'}</div>`;
+  }
+}
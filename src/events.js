@@ -0,0 +1,173 @@
+// World events: notable moments anywhere on the grid, detected between steps and kept in a log.
+//
+// `scan(world)` compares every tile with what it saw on the previous scan and logs:
+//   reaction     a reaction starting on a tile (again after EVENT_REARM_S without running there)
+//   precipitate  a solid forming out of solution, from a reaction product or the solubility pass
+//   ignition     a tile catching fire; extinguish when it goes out
+//   pressure     pressure rising past `pressureThreshold`; re-armed once it falls below 3/4 of it
+//   depleted     a reactant of a running reaction used up on a tile
+// Events of one kind about one subject (a reaction or species) arriving within EVENT_MERGE_S of
+// each other merge into a single entry listing every tile, so a reaction spreading through a
+// puddle is one line rather than one per tile. Each entry is
+// `{ seq, t, last, kind, subject, x, y, cells, message }`, with `t`/`last` in sim seconds and
+// (x, y) the first tile. Per-tile state lives in a WeakMap, so a cleared or restored world starts
+// afresh; `prime(world)` takes in the current state without logging it.
+
+import { BAG_OF_PHASE } from './species.js';
+import { MAX_PRESSURE } from './pressure.js';
+import { tileVolumeOf } from './units.js';
+
+export const EVENT_KINDS = {
+  reaction: 'Reaction',
+  precipitate: 'Precipitate',
+  ignition: 'Ignition',
+  extinguish: 'Extinguished',
+  pressure: 'Pressure',
+  depleted: 'Used up'
+};
+export const EVENT_LOG_LIMIT = 300;
+export const EVENT_MERGE_S = 2;
+export const EVENT_REARM_S = 5;
+
+const PRESSURE_SPIKE = MAX_PRESSURE / 4;
+const ACTIVE_EXTENT = 1e-6;   // mol per step; less is numerical dust, not a reaction
+const PRECIPITATE_MIN = 1e-6; // mol per step
+const DEPLETED_FROM_MOL_L = 1e-3;
+const DEPLETED_MOL_L = 1e-6;
+
+export function createEventDetector(materialRegistry, reactionRegistry, { pressureThreshold = PRESSURE_SPIKE, limit = EVENT_LOG_LIMIT } = {}){
+  let states = new WeakMap();
+  const events = [];
+  const open = new Map(); // `${kind}:${subject}` -> the entry still accepting tiles
+  let seq = 0;
+  let version = 0;
+
+  const nameOf = (id) => materialRegistry.get(id)?.displayName || id;
+  const phaseIn = (id, rx) => rx?.phases?.[id] || materialRegistry.phaseOf(id);
+
+  function describe(e){
+    const where = e.cells.length > 1 ? `at (${e.x},${e.y}) and ${e.cells.length - 1} more tile${e.cells.length > 2 ? 's' : ''}` : `at (${e.x},${e.y})`;
+    const rx = e.reaction ? reactionRegistry.get(e.reaction) : null;
+    const label = rx?.equation || e.reaction;
+    switch(e.kind){
+      case 'reaction': return `${label} started ${where}`;
+      case 'precipitate': return `${nameOf(e.subject)} precipitating ${where}`;
+      case 'ignition': return `Fire ${where}`;
+      case 'extinguish': return `Fire went out ${where}`;
+      case 'pressure': return `Pressure spike to ${e.peak.toFixed(2)} ${where}`;
+      case 'depleted': return `${nameOf(e.subject)} used up ${where}${label ? ` (${label})` : ''}`;
+    }
+    return `${e.kind} ${where}`;
+  }
+
+  function emit(now, kind, subject, tile, extra = {}){
+    const key = `${kind}:${subject}`;
+    let e = open.get(key);
+    if(e && now - e.last <= EVENT_MERGE_S && events.includes(e)){
+      if(!e.cells.some(c => c.x === tile.x && c.y === tile.y)) e.cells.push({ x: tile.x, y: tile.y });
+      e.last = now;
+      if(extra.peak !== undefined) e.peak = Math.max(e.peak, extra.peak);
+    } else {
+      e = { seq: ++seq, t: now, last: now, kind, subject, x: tile.x, y: tile.y, cells: [{ x: tile.x, y: tile.y }], ...extra };
+      events.push(e);
+      if(events.length > limit) events.splice(0, events.length - limit);
+      open.set(key, e);
+    }
+    e.message = describe(e);
+    version++;
+  }
+
+  function stateOf(tile){
+    let s = states.get(tile);
+    if(!s){
+      s = { lastActive: new Map(), lastPrecipitate: new Map(), ignited: false, high: false, watched: new Map() };
+      states.set(tile, s);
+    }
+    return s;
+  }
+
+  // Bag and amount of every reactant of the reactions running on `tile`, for spotting them run out.
+  function watch(tile, active){
+    const watched = new Map();
+    for(const rx of active){
+      for(const sp of Object.keys(rx.stoich?.reactants || {})){
+        if(watched.has(sp)) continue;
+        const bag = BAG_OF_PHASE[phaseIn(sp, rx)];
+        watched.set(sp, { bag, amount: tile[bag]?.[sp] || 0, reaction: rx.id });
+      }
+    }
+    return watched;
+  }
+
+  function scanTile(tile, now, volume, quiet){
+    const s = stateOf(tile);
+    const active = [];
+    const precipitating = new Set();
+    for(const entry of tile._activity || []){
+      if(!entry || !((entry.rawExtent || 0) > ACTIVE_EXTENT)) continue;
+      const rx = reactionRegistry.get(entry.id);
+      if(!rx) continue;
+      active.push(rx);
+      for(const p of entry.products || []) if(p.qty > PRECIPITATE_MIN && phaseIn(p.id, rx) === 's') precipitating.add(p.id);
+    }
+    for(const tr of tile._transitions || []) if(tr.kind === 'precipitated' && tr.amount > PRECIPITATE_MIN) precipitating.add(tr.id);
+
+    for(const rx of active){
+      const last = s.lastActive.get(rx.id);
+      if(!quiet && (last === undefined || now - last > EVENT_REARM_S)) emit(now, 'reaction', rx.id, tile, { reaction: rx.id });
+      s.lastActive.set(rx.id, now);
+    }
+    for(const id of precipitating){
+      const last = s.lastPrecipitate.get(id);
+      if(!quiet && (last === undefined || now - last > EVENT_REARM_S)) emit(now, 'precipitate', id, tile);
+      s.lastPrecipitate.set(id, now);
+    }
+
+    const ignited = !!tile.ignited;
+    if(!quiet && ignited !== s.ignited) emit(now, ignited ? 'ignition' : 'extinguish', 'fire', tile);
+    s.ignited = ignited;
+
+    const pressure = tile.pressure || 0;
+    if(pressure >= pressureThreshold){
+      if(!quiet && !s.high) emit(now, 'pressure', 'pressure', tile, { peak: pressure });
+      s.high = true;
+    } else if(pressure < pressureThreshold * 0.75) s.high = false;
+
+    if(!quiet){
+      for(const [sp, { bag, amount, reaction }] of s.watched){
+        const left = tile[bag]?.[sp] || 0;
+        if(amount >= DEPLETED_FROM_MOL_L * volume && left <= DEPLETED_MOL_L * volume) emit(now, 'depleted', sp, tile, { reaction });
+      }
+    }
+    s.watched = watch(tile, active);
+  }
+
+  // Looks over every tile once; call after each engine step. Returns true when the log changed.
+  function scan(world, { quiet = false } = {}){
+    const before = version;
+    const now = world.time;
+    const volume = tileVolumeOf(world);
+    for(let y = 0; y < world.h; y++) for(let x = 0; x < world.w; x++) scanTile(world.grid[y][x], now, volume, quiet);
+    return version !== before;
+  }
+
+  function prime(world){
+    states = new WeakMap();
+    open.clear();
+    scan(world, { quiet: true });
+  }
+
+  function clear(){
+    events.length = 0;
+    open.clear();
+    version++;
+  }
+
+  return {
+    events,
+    get version(){ return version; },
+    scan,
+    prime,
+    clear
+  };
+}
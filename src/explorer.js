@@ -0,0 +1,139 @@
+// Reaction explorer: which reactions could run on a tile, what holds the others back, and the
+// network linking every species to the reactions that use or make it.
+//
+// `explain(tile, volume)` gives every reaction in the registry a status through the engine's
+// `diagnoseReaction`:
+//   active   it would run this tick (either direction for a reversible reaction)
+//   close    blocked, but only by conditions nearly met: a threshold at CLOSE_FRACTION of its value
+//            (CLOSE_TEMP_C for temperature) or a single missing reactant beside the others
+//   blocked  anything else
+// with one plain reason per blocker. `network()` links species to reactions (reactant -> reaction
+// -> product) and places them in columns by depth: species no reaction makes sit in column 0, each
+// reaction one column right of its deepest reactant and each species one right of the shallowest
+// reaction making it, so chains like Na -> NaOH -> Cu(OH)2 read left to right. It is rebuilt when
+// the pack loader swaps the reaction set.
+
+export const REACTION_STATUSES = ['active', 'close', 'blocked'];
+
+const CLOSE_FRACTION = 0.5;
+const CLOSE_TEMP_C = 50;
+const HELD_AS = { species: 'a liquid or solution', solids: 'a solid', gas: 'a gas' };
+
+export function createReactionExplorer({ engine, materialRegistry, reactionRegistry }){
+  let net = null, netFor = null;
+
+  const nameOf = (id) => materialRegistry.get(id)?.displayName || id;
+  const fmt = (v, digits = 2) => Number(v || 0).toFixed(digits);
+
+  function describe(b){
+    switch(b.kind){
+      case 'moisture': return `needs moisture ${fmt(b.need)} (tile has ${fmt(b.have)})`;
+      case 'oxygen': return `needs air oxygen ${fmt(b.need)} (tile has ${fmt(b.have)})`;
+      case 'temp': return `needs ${fmt(b.need, 0)}°C (tile is at ${fmt(b.have, 1)}°C)`;
+      case 'ignition': return 'needs a flame: the tile is not burning';
+      case 'power': return `needs ${fmt(b.need)} W of electrical power (tile has ${fmt(b.have)} W)`;
+      case 'reactant': return b.heldIn
+        ? `${nameOf(b.species)} is only here as ${HELD_AS[b.heldIn]}, not in the form this reaction uses`
+        : `missing ${nameOf(b.species)}: add about ${fmt(b.need, 3)} mol`;
+      case 'catalyst': return `needs an active catalyst (${b.need})`;
+      case 'surface': return `no exposed surface of ${nameOf(b.species)}`;
+      case 'current': return 'needs an electric current through the tile';
+      case 'rate': return 'too slow to register at this temperature';
+    }
+    return b.kind;
+  }
+
+  function isNear(b, blockers, rx){
+    switch(b.kind){
+      case 'moisture': case 'oxygen': case 'power': return b.have >= CLOSE_FRACTION * b.need;
+      case 'temp': return b.need - b.have <= CLOSE_TEMP_C;
+      case 'reactant': return blockers.filter(o => o.kind === 'reactant').length === 1 && Object.keys(rx.stoich?.reactants || {}).length > 1;
+    }
+    return false;
+  }
+
+  // Every reaction's status on `tile`: { rx, id, equation, status, direction, limiter, blockers, reasons },
+  // active first, then close, then blocked, each in registry order.
+  function explain(tile, volume){
+    const activity = new Map((tile._activity || []).filter(Boolean).map(a => [a.id, a]));
+    const rows = reactionRegistry.list.map((rx, order) => {
+      const { plan, blockers } = engine.diagnoseReaction(tile, rx, volume);
+      let status = 'blocked';
+      if(plan) status = 'active';
+      else if(blockers.every(b => isNear(b, blockers, rx))) status = 'close';
+      const ran = activity.get(rx.id);
+      return {
+        rx,
+        id: rx.id,
+        equation: rx.equation || rx.id,
+        status,
+        direction: plan ? (plan.forward >= plan.reverse ? 'forward' : 'reverse') : null,
+        limiter: ran?.limiter || plan?.limitingReactant || null,
+        blockers,
+        reasons: blockers.map(describe),
+        order
+      };
+    });
+    return rows.sort((a, b) => REACTION_STATUSES.indexOf(a.status) - REACTION_STATUSES.indexOf(b.status) || a.order - b.order);
+  }
+
+  function build(){
+    const species = new Map(); // id -> { id, kind, col, makers: [], users: [] }
+    const reactions = new Map();
+    const edges = [];
+    const speciesNode = (id) => {
+      if(!species.has(id)) species.set(id, { id, kind: 'species', label: id, col: Infinity, makers: [], users: [] });
+      return species.get(id);
+    };
+    for(const rx of reactionRegistry.list){
+      const node = { id: rx.id, kind: 'reaction', label: rx.equation || rx.id, col: 0, reactants: Object.keys(rx.stoich?.reactants || {}), products: Object.keys(rx.stoich?.products || {}) };
+      reactions.set(rx.id, node);
+      for(const sp of node.reactants){ speciesNode(sp).users.push(rx.id); edges.push({ from: sp, to: rx.id }); }
+      for(const sp of node.products){ speciesNode(sp).makers.push(rx.id); edges.push({ from: rx.id, to: sp }); }
+    }
+    for(const s of species.values()) if(!s.makers.length) s.col = 0;
+    const settle = () => {
+      for(let pass = 0, changed = true; changed && pass <= species.size + 1; pass++){
+        changed = false;
+        for(const r of reactions.values()){
+          const deepest = Math.max(0, ...r.reactants.map(sp => species.get(sp).col));
+          if(!Number.isFinite(deepest)) continue;
+          r.col = deepest + 1;
+          for(const sp of r.products){
+            const s = species.get(sp);
+            if(r.col + 1 < s.col){ s.col = r.col + 1; changed = true; }
+          }
+        }
+      }
+    };
+    settle();
+    // species made only inside cycles have no start; treat them as raw materials
+    for(const s of species.values()) if(!Number.isFinite(s.col)) s.col = 0;
+    settle();
+    return { species, reactions, edges, columns: 1 + Math.max(0, ...[...species.values(), ...reactions.values()].map(n => n.col)) };
+  }
+
+  function network(){
+    if(netFor !== reactionRegistry.byId){ net = build(); netFor = reactionRegistry.byId; }
+    return net;
+  }
+
+  // Ids of every node reachable from `id` following the arrows ('down': what it can become) or
+  // against them ('up': what it can be made from), including `id` itself.
+  function chain(id, direction = 'down'){
+    const { species, reactions } = network();
+    const seen = new Set();
+    const queue = [id];
+    while(queue.length){
+      const at = queue.shift();
+      if(seen.has(at)) continue;
+      seen.add(at);
+      const s = species.get(at), r = reactions.get(at);
+      if(s) queue.push(...(direction === 'down' ? s.users : s.makers));
+      if(r) queue.push(...(direction === 'down' ? r.products : r.reactants));
+    }
+    return seen;
+  }
+
+  return { explain, network, chain, describe };
+}
@@ -0,0 +1,204 @@
+// Reaction explorer panel: the focused tile's reactions by status (see explorer.js), and the whole
+// reaction network as a left-to-right graph. Clicking a species in the graph traces what it can be
+// made from and what it can become; species on the focused tile and reactions running or close to
+// running there are marked.
+
+import { REACTION_STATUSES } from './explorer.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const COL_W = 120;
+const ROW_H = 22;
+const PAD = 14;
+
+function escapeText(text){
+  return String(text).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+}
+
+function svg(tag, attrs = {}){
+  const el = document.createElementNS(SVG_NS, tag);
+  for(const [k, v] of Object.entries(attrs)) el.setAttribute(k, v);
+  return el;
+}
+
+export class ReactionExplorerComponent {
+  constructor(container, explorer){
+    this.container = container;
+    this.explorer = explorer;
+    this.view = 'tile';
+    this.showBlocked = false;
+    this.traced = null;
+    this.rows = [];
+    this.tile = null;
+    this.lastListSig = '';
+    this.lastMarkSig = '';
+    this.graphFor = null;
+    this._build();
+  }
+
+  _build(){
+    this.container.innerHTML = '';
+    const bar = document.createElement('div');
+    bar.className = 'explorer-bar';
+    this.tileTab = document.createElement('button');
+    this.tileTab.textContent = 'This tile';
+    this.tileTab.onclick = () => this.setView('tile');
+    this.netTab = document.createElement('button');
+    this.netTab.textContent = 'Network';
+    this.netTab.onclick = () => this.setView('network');
+    bar.appendChild(this.tileTab);
+    bar.appendChild(this.netTab);
+    const blocked = document.createElement('label');
+    blocked.className = 'muted';
+    this.blockedBox = document.createElement('input');
+    this.blockedBox.type = 'checkbox';
+    this.blockedBox.onchange = () => { this.showBlocked = this.blockedBox.checked; this.lastListSig = ''; this._renderList(); };
+    blocked.appendChild(this.blockedBox);
+    blocked.appendChild(document.createTextNode('show blocked'));
+    bar.appendChild(blocked);
+    this.heading = document.createElement('span');
+    this.heading.className = 'muted explorer-heading';
+    bar.appendChild(this.heading);
+    this.container.appendChild(bar);
+
+    this.list = document.createElement('div');
+    this.list.className = 'explorer-list';
+    this.container.appendChild(this.list);
+
+    this.graphWrap = document.createElement('div');
+    this.graphWrap.className = 'explorer-graph';
+    this.graphNote = document.createElement('div');
+    this.graphNote.className = 'muted';
+    this.graphWrap.appendChild(this.graphNote);
+    this.graph = svg('svg');
+    this.graph.onclick = (event) => {
+      const node = event.target?.closest?.('[data-species]');
+      this.trace(node ? node.getAttribute('data-species') : null);
+    };
+    this.graphWrap.appendChild(this.graph);
+    this.container.appendChild(this.graphWrap);
+    this.setView(this.view);
+  }
+
+  setView(view){
+    this.view = view;
+    this.tileTab.className = view === 'tile' ? 'primary' : '';
+    this.netTab.className = view === 'network' ? 'primary' : '';
+    this.list.style.display = view === 'tile' ? '' : 'none';
+    this.graphWrap.style.display = view === 'network' ? '' : 'none';
+    if(view === 'network') this._renderGraph();
+  }
+
+  // Explains `tile` (anything tile-shaped, or null for none) under `title`.
+  update(tile, volume, title){
+    this.tile = tile;
+    this.rows = tile ? this.explorer.explain(tile, volume) : [];
+    if(this.heading.textContent !== (title || '')) this.heading.textContent = title || '';
+    this._renderList();
+    if(this.view === 'network') this._renderGraph();
+  }
+
+  _renderList(){
+    if(!this.tile){
+      if(this.lastListSig !== 'none') this.list.innerHTML = '<div class="muted">Select a tile to see which reactions could run there.</div>';
+      this.lastListSig = 'none';
+      return;
+    }
+    const shown = this.rows.filter(r => this.showBlocked || r.status !== 'blocked');
+    const sig = shown.map(r => `${r.id}:${r.status}:${r.direction}:${r.limiter}:${r.reasons.join(';')}`).join('|') + `|${this.showBlocked}`;
+    if(sig === this.lastListSig) return;
+    this.lastListSig = sig;
+    const counts = REACTION_STATUSES.map(s => `${this.rows.filter(r => r.status === s).length} ${s}`).join(' · ');
+    const detail = (r) => {
+      if(r.status === 'active'){
+        const parts = [r.direction === 'reverse' ? 'running in reverse' : 'running'];
+        if(r.limiter && r.limiter !== 'rate') parts.push(`limited by ${r.limiter}`);
+        return `<div class="muted">${escapeText(parts.join(', '))}</div>`;
+      }
+      return `<ul>${r.reasons.map(text => `<li>${escapeText(text)}</li>`).join('')}</ul>`;
+    };
+    this.list.innerHTML = `<div class="muted explorer-counts">${counts}</div>` + (shown.length
+      ? shown.map(r => `
+        <div class="explorer-row ${r.status}">
+          <span class="explorer-status">${r.status}</span>
+          <div><div>${escapeText(r.equation)}</div>${detail(r)}</div>
+        </div>
+      `).join('')
+      : '<div class="muted">Nothing could run here yet; tick "show blocked" to see what each reaction needs.</div>');
+  }
+
+  // Highlights everything `id` can be made from and can become; null clears the trace.
+  trace(id){
+    this.traced = id && id !== this.traced ? id : null;
+    this.lastMarkSig = '';
+    this._renderGraph();
+  }
+
+  _layout(net){
+    const cols = Array.from({ length: net.columns }, () => []);
+    for(const n of [...net.species.values(), ...net.reactions.values()]) cols[n.col].push(n);
+    const pos = new Map();
+    let rows = 0;
+    cols.forEach((nodes, c) => {
+      nodes.sort((a, b) => a.label.localeCompare(b.label));
+      nodes.forEach((n, i) => pos.set(n.id, { x: PAD + (c + 0.5) * COL_W, y: PAD + i * ROW_H }));
+      rows = Math.max(rows, nodes.length);
+    });
+    return { pos, width: PAD * 2 + net.columns * COL_W, height: PAD * 2 + rows * ROW_H };
+  }
+
+  _renderGraph(){
+    const net = this.explorer.network();
+    if(this.graphFor !== net){
+      const { pos, width, height } = this._layout(net);
+      this.graph.setAttribute('viewBox', `0 0 ${width} ${height}`);
+      this.graph.setAttribute('width', width);
+      this.graph.setAttribute('height', height);
+      const edges = net.edges.map(e => {
+        const a = pos.get(e.from), b = pos.get(e.to);
+        return svg('line', { x1: a.x, y1: a.y, x2: b.x, y2: b.y, 'data-from': e.from, 'data-to': e.to });
+      });
+      const nodes = [...net.reactions.values()].map(r => {
+        const p = pos.get(r.id);
+        const dot = svg('circle', { cx: p.x, cy: p.y, r: 5, class: 'reaction', 'data-reaction': r.id });
+        const title = svg('title');
+        title.textContent = r.label;
+        dot.appendChild(title);
+        return dot;
+      });
+      const labels = [...net.species.values()].map(s => {
+        const p = pos.get(s.id);
+        const text = svg('text', { x: p.x, y: p.y + 4, class: 'species', 'data-species': s.id });
+        text.textContent = s.label;
+        return text;
+      });
+      this.graph.replaceChildren(...edges, ...nodes, ...labels);
+      this.graphFor = net;
+      this.lastMarkSig = '';
+    }
+    this._markGraph(net);
+  }
+
+  // Updates classes only: tile species and reaction statuses, and the traced chain.
+  _markGraph(net){
+    const here = new Set();
+    for(const bag of ['species', 'solids', 'gas']) for(const [id, qty] of Object.entries(this.tile?.[bag] || {})) if(qty > 0) here.add(id);
+    const status = new Map(this.rows.map(r => [r.id, r.status]));
+    const chain = this.traced ? new Set([...this.explorer.chain(this.traced, 'up'), ...this.explorer.chain(this.traced, 'down')]) : null;
+    const sig = `${[...here].sort().join()}|${this.rows.map(r => r.status[0]).join('')}|${this.traced}`;
+    if(sig === this.lastMarkSig) return;
+    this.lastMarkSig = sig;
+    const dim = (id) => chain && !chain.has(id) ? ' dim' : '';
+    for(const el of this.graph.children){
+      const sp = el.getAttribute('data-species'), rx = el.getAttribute('data-reaction');
+      if(sp) el.setAttribute('class', `species${here.has(sp) ? ' here' : ''}${sp === this.traced ? ' traced' : ''}${dim(sp)}`);
+      else if(rx) el.setAttribute('class', `reaction ${status.get(rx) || 'blocked'}${dim(rx)}`);
+      else {
+        const from = el.getAttribute('data-from'), to = el.getAttribute('data-to');
+        el.setAttribute('class', chain ? (chain.has(from) && chain.has(to) ? 'chain' : 'dim') : '');
+      }
+    }
+    this.graphNote.textContent = this.traced
+      ? `Tracing ${this.traced}: what it is made from and what it can become. Click it again to clear.`
+      : `${net.species.size} species, ${net.reactions.size} reactions. Click a species to trace its chain; bold species are on the selected tile.`;
+  }
+}
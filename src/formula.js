@@ -0,0 +1,108 @@
+// Chemical formula parsing: element counts, charge and molar mass from a species id.
+//
+// Understands nested groups (`Cu(NO3)2`, `K4[Fe(CN)6]`), hydrates joined by `·`, `*` or `.`
+// (`CuSO4·5H2O`), charges (`Na+`, `SO4^2-`) and the phase suffixes species ids carry:
+// `(s)`, `(l)`, `(g)`, `(aq)` and the `_g`-style forms (`H2O_g`). Materials whose id is not a
+// formula can name one with a `formula` field.
+
+export const ATOMIC_MASS = {
+  H: 1.008, He: 4.0026, Li: 6.94, Be: 9.0122, B: 10.81, C: 12.011, N: 14.007, O: 15.999,
+  F: 18.998, Ne: 20.180, Na: 22.990, Mg: 24.305, Al: 26.982, Si: 28.085, P: 30.974, S: 32.06,
+  Cl: 35.45, Ar: 39.948, K: 39.098, Ca: 40.078, Ti: 47.867, Cr: 51.996, Mn: 54.938, Fe: 55.845,
+  Co: 58.933, Ni: 58.693, Cu: 63.546, Zn: 65.38, As: 74.922, Se: 78.971, Br: 79.904, Rb: 85.468,
+  Sr: 87.62, Ag: 107.87, Sn: 118.71, I: 126.90, Cs: 132.91, Ba: 137.33, Pt: 195.08, Au: 196.97,
+  Hg: 200.59, Pb: 207.2
+};
+
+const PHASE_SUFFIX = /(?:\((s|l|g|aq)\)|_(s|l|g|aq))$/;
+const CHARGE_SUFFIX = /(?:\^(\d*)([+-])|([+-]+))$/;
+const HYDRATE_JOIN = /[·•*]|\.(?=\d*[A-Z(])/;
+const CLOSE = { '(': ')', '[': ']' };
+
+// Strips and returns a species id's phase suffix: 'CuSO4(aq)' -> { formula: 'CuSO4', phase: 'aq' }.
+export function splitPhase(id){
+  const m = PHASE_SUFFIX.exec(id);
+  return m ? { formula: id.slice(0, m.index), phase: m[1] || m[2] } : { formula: id, phase: null };
+}
+
+function parseGroup(text, start, close, where){
+  const counts = {};
+  let i = start;
+  const add = (el, n) => { counts[el] = (counts[el] || 0) + n; };
+  const number = () => {
+    const m = /^\d+/.exec(text.slice(i));
+    if(!m) return 1;
+    i += m[0].length;
+    return Number(m[0]);
+  };
+  while(i < text.length){
+    const ch = text[i];
+    if(ch === close) return { counts, end: i + 1 };
+    if(CLOSE[ch]){
+      const inner = parseGroup(text, i + 1, CLOSE[ch], where);
+      i = inner.end;
+      const n = number();
+      for(const [el, c] of Object.entries(inner.counts)) add(el, c * n);
+      continue;
+    }
+    const m = /^[A-Z][a-z]?/.exec(text.slice(i));
+    if(!m) throw new Error(`Cannot parse formula "${where}": unexpected "${ch}"`);
+    if(ATOMIC_MASS[m[0]] === undefined) throw new Error(`Cannot parse formula "${where}": unknown element "${m[0]}"`);
+    i += m[0].length;
+    add(m[0], number());
+  }
+  if(close) throw new Error(`Cannot parse formula "${where}": missing "${close}"`);
+  return { counts, end: i };
+}
+
+// Parses `id` into { formula, phase, elements: { symbol: count }, charge }; throws on anything else.
+export function parseFormula(id){
+  const text = String(id ?? '').trim();
+  const { formula, phase } = splitPhase(text);
+  let body = formula, charge = 0;
+  const c = CHARGE_SUFFIX.exec(body);
+  if(c){
+    charge = c[3] ? (c[3][0] === '+' ? 1 : -1) * c[3].length : (c[2] === '+' ? 1 : -1) * Number(c[1] || 1);
+    body = body.slice(0, c.index);
+  }
+  if(!body) throw new Error(`Cannot parse formula "${text}": it is empty`);
+  const elements = {};
+  for(const part of body.split(HYDRATE_JOIN)){
+    const m = /^(\d*)(.*)$/.exec(part);
+    if(!m[2]) throw new Error(`Cannot parse formula "${text}": empty hydrate part`);
+    const n = m[1] ? Number(m[1]) : 1;
+    for(const [el, count] of Object.entries(parseGroup(m[2], 0, null, text).counts)){
+      elements[el] = (elements[el] || 0) + count * n;
+    }
+  }
+  return { formula, phase, elements, charge };
+}
+
+// Molar mass in g/mol of a formula string or an { element: count } map.
+export function molarMass(formula){
+  const elements = typeof formula === 'string' ? parseFormula(formula).elements : formula;
+  let mass = 0;
+  for(const [el, n] of Object.entries(elements || {})) mass += ATOMIC_MASS[el] * n;
+  return mass;
+}
+
+// The formula a material is made of: its `formula` field, or else its id.
+export function formulaOf(id, materialRegistry){
+  return materialRegistry?.get(id)?.formula || id;
+}
+
+// A material's molar mass: its `molarMass_g_mol` if set, else from its formula; null if neither works.
+export function materialMolarMass(id, mat){
+  if(mat?.molarMass_g_mol > 0) return mat.molarMass_g_mol;
+  try { return molarMass(mat?.formula || id); }
+  catch (err) { return null; }
+}
+
+// Element totals of one side of a reaction, { species: coefficient }, with `elementsOf(id)`.
+export function countAtoms(side, elementsOf){
+  const totals = {};
+  for(const [sp, n] of Object.entries(side || {})){
+    for(const [el, c] of Object.entries(elementsOf(sp))) totals[el] = (totals[el] || 0) + c * n;
+  }
+  return totals;
+}
@@ -1,51 +1,265 @@
-export const HISTORY_DURATION_MS = 10000;
+// Tile history: configurable channels sampled into fixed-size ring buffers, with CSV/JSON export.
+//
+// A channel is a tile field (`temp`, `pressure`, `pH`, `moisture`, `current`, `power`), `gasSum`
+// (all gas in the tile), one amount in one bag (`species:HCl`, `gas:CO2`, `solids:NaCl`) or a
+// reaction's extent over the last step (`reaction:precip_agcl`). Subscribed tiles are sampled every
+// HISTORY_SAMPLE_MS of sim time into the raw tier; each later tier keeps the mean of the raw samples
+// in every window of its `sampleMs`, so it covers a longer span with the same memory. Every tier is
+// a ring buffer sized for its span, and recording allocates nothing once it is running.
+
 export const HISTORY_SAMPLE_MS = 150;
+export const HISTORY_DURATION_MS = 10000;
+export const HISTORY_TIERS = [
+  { name: 'raw', sampleMs: HISTORY_SAMPLE_MS, spanMs: HISTORY_DURATION_MS },
+  { name: 'avg', sampleMs: 5000, spanMs: 300000 }
+];
+export const DEFAULT_CHANNELS = ['temp', 'pressure', 'pH', 'gasSum'];
+
+const FIELDS = ['temp', 'pressure', 'pH', 'moisture', 'current', 'power'];
+const BAGS = ['species', 'gas', 'solids'];
 
 const historySubscribers = new Set();
+let activeChannels = DEFAULT_CHANNELS;
+
+// --- Channels ---
+const readers = new Map();
+
+// A function reading channel `name` from a tile (or anything shaped like one); throws for unknown names.
+export function channelReader(name){
+  let read = readers.get(name);
+  if(read) return read;
+  const [kind, id] = String(name).split(/:(.*)/s);
+  if(FIELDS.includes(name)) read = (tile) => tile[name] ?? NaN;
+  else if(name === 'gasSum') read = (tile) => { let sum = 0; for(const v of Object.values(tile.gas || {})) sum += v || 0; return sum; };
+  else if(BAGS.includes(kind) && id) read = (tile) => tile[kind]?.[id] || 0;
+  else if(kind === 'reaction' && id) read = (tile) => tile._activity?.find(a => a?.id === id)?.extent || 0;
+  else throw new Error(`Unknown history channel "${name}"`);
+  readers.set(name, read);
+  return read;
+}
+
+// --- Ring buffers ---
+function createRing(capacity, width){
+  return { capacity, start: 0, length: 0, t: new Float64Array(capacity), values: Array.from({ length: width }, () => new Float64Array(capacity).fill(NaN)) };
+}
 
+function pushRow(ring, t, row){
+  let i;
+  if(ring.length < ring.capacity){ i = (ring.start + ring.length) % ring.capacity; ring.length++; }
+  else { i = ring.start; ring.start = (ring.start + 1) % ring.capacity; }
+  ring.t[i] = t;
+  for(let c = 0; c < row.length; c++) ring.values[c][i] = row[c];
+}
+
+// Rebuilds `ring` for `channels`, keeping the samples of channels it already had.
+function remapRing(ring, from, channels){
+  const values = channels.map(name => {
+    const c = from.indexOf(name);
+    return c >= 0 ? ring.values[c] : new Float64Array(ring.capacity).fill(NaN);
+  });
+  return { ...ring, values };
+}
+
+// --- Histories ---
+export function createHistory(channels = activeChannels, { tiers = HISTORY_TIERS } = {}){
+  let names = [], read = [], row = null;
+  let rings = [], sums = [], counts = [], windows = [];
+  let lastSampleAt = -Infinity;
+  const longest = Math.max(...tiers.map(t => t.spanMs));
+
+  function setChannels(list){
+    const next = [...new Set(list)];
+    const nextRead = next.map(channelReader);
+    rings = rings.length
+      ? rings.map(ring => remapRing(ring, names, next))
+      : tiers.map(tier => createRing(Math.ceil(tier.spanMs / tier.sampleMs) + 1, next.length));
+    names = next; read = nextRead;
+    row = new Float64Array(names.length);
+    sums = tiers.map(() => new Float64Array(names.length));
+    counts = tiers.map(() => new Float64Array(names.length));
+    windows = tiers.map(() => ({ start: NaN, tSum: 0, n: 0 }));
+  }
+
+  function clear(){
+    rings = [];
+    setChannels(names);
+    lastSampleAt = -Infinity;
+  }
+
+  // Averages raw samples into each later tier, closing a window once it spans the tier's sampleMs.
+  function accumulate(now){
+    for(let k = 1; k < tiers.length; k++){
+      const win = windows[k], sum = sums[k], count = counts[k];
+      if(win.n && now - win.start >= tiers[k].sampleMs){
+        for(let c = 0; c < names.length; c++){ row[c] = count[c] ? sum[c] / count[c] : NaN; sum[c] = 0; count[c] = 0; }
+        pushRow(rings[k], win.tSum / win.n, row);
+        win.n = 0; win.tSum = 0;
+      }
+      if(!win.n) win.start = now;
+      win.n++; win.tSum += now;
+    }
+  }
+
+  // Samples `tile` at sim time `now` (ms) unless the last sample is more recent than the raw cadence.
+  // `tile` may be a function returning one, called only when a sample is due. Time running
+  // backwards (a restored world) or a gap longer than every tier starts afresh.
+  function record(now, tile){
+    if(Number.isFinite(lastSampleAt) && (now < lastSampleAt || now - lastSampleAt > longest)) clear();
+    if(now - lastSampleAt < tiers[0].sampleMs) return false;
+    if(typeof tile === 'function') tile = tile();
+    accumulate(now);
+    for(let c = 0; c < names.length; c++){
+      const v = read[c](tile);
+      row[c] = v;
+      if(Number.isFinite(v)) for(let k = 1; k < tiers.length; k++){ sums[k][c] += v; counts[k][c]++; }
+    }
+    pushRow(rings[0], now, row);
+    lastSampleAt = now;
+    return true;
+  }
+
+  function ringOf(tier){
+    const k = typeof tier === 'number' ? tier : tiers.findIndex(t => t.name === tier);
+    if(!rings[k]) throw new Error(`Unknown history tier "${tier}"`);
+    return rings[k];
+  }
+
+  // The newest `limit` samples of a tier, oldest first, as `{ t, [channel]: value }` objects.
+  function samples(tier = 0, limit = Infinity){
+    const ring = ringOf(tier);
+    const n = Math.min(ring.length, limit), out = [];
+    for(let j = ring.length - n; j < ring.length; j++){
+      const i = (ring.start + j) % ring.capacity;
+      const sample = { t: ring.t[i] };
+      names.forEach((name, c) => { sample[name] = ring.values[c][i]; });
+      out.push(sample);
+    }
+    return out;
+  }
+
+  // A tier as columns: `{ t: [...], values: { [channel]: [...] } }`, oldest first.
+  function series(tier = 0){
+    const ring = ringOf(tier);
+    const order = Array.from({ length: ring.length }, (_, j) => (ring.start + j) % ring.capacity);
+    const values = {};
+    names.forEach((name, c) => { values[name] = order.map(i => ring.values[c][i]); });
+    return { t: order.map(i => ring.t[i]), values };
+  }
+
+  setChannels(channels);
+  return {
+    tiers,
+    get channels(){ return names.slice(); },
+    get length(){ return rings[0].length; },
+    setChannels,
+    record,
+    samples,
+    series,
+    clear
+  };
+}
+
+// --- Subscriptions ---
 export function ensureHistoryBuffer(tile){
   if(!tile) return null;
-  if(!tile.history) tile.history=[];
-  if(!tile._historyMeta) tile._historyMeta={ lastSampleAt: -Infinity };
+  if(!tile.history) tile.history = createHistory(activeChannels);
   return tile.history;
 }
 
 export function subscribeHistory(tile){
   if(!tile) return;
-  ensureHistoryBuffer(tile);
+  const history = ensureHistoryBuffer(tile);
+  if(history.channels.join() !== activeChannels.join()) history.setChannels(activeChannels);
   historySubscribers.add(tile);
 }
 
 export function unsubscribeHistory(tile, {clear=false}={}){
   if(!tile) return;
   historySubscribers.delete(tile);
-  if(clear && tile.history) tile.history.length=0;
-  if(tile._historyMeta) tile._historyMeta.lastSampleAt = -Infinity;
+  if(clear) tile.history?.clear();
 }
 
 export function clearSubscribers(){
   historySubscribers.clear();
 }
 
+// Sets the channels every history records from now on; subscribed tiles keep the samples of the
+// channels they already had. Throws for unknown channel names before changing anything.
+export function setHistoryChannels(channels){
+  channels.forEach(channelReader);
+  activeChannels = [...new Set(channels)];
+  for(const tile of historySubscribers) tile.history?.setChannels(activeChannels);
+}
+
+export function historyChannels(){
+  return activeChannels.slice();
+}
+
+// Subscribers are tiles, or sources with a `sample()` returning something tile-shaped (a region's
+// aggregate, see region.js); either keeps its history on `.history`.
 export function recordSubscribedHistories(now){
-  if(!historySubscribers.size) return;
-  const cutoff = now - HISTORY_DURATION_MS;
-  for(const tile of historySubscribers){
-    if(!tile) continue;
-    const history = ensureHistoryBuffer(tile);
-    if(!history) continue;
-    const meta = tile._historyMeta;
-    if(meta && (now - (meta.lastSampleAt||-Infinity)) < HISTORY_SAMPLE_MS) continue;
-    const gasSum = Object.values(tile.gas || {}).reduce((a,v)=>a+(v||0),0);
-    history.push({
-      t: now,
-      temp: tile.temp,
-      pressure: tile.pressure||0,
-      pH: tile.pH,
-      gasSum
+  for(const source of historySubscribers){
+    if(!source) continue;
+    ensureHistoryBuffer(source).record(now, source.sample ? () => source.sample() : source);
+  }
+}
+
+// Every subscriber's history as `{ id, history }` entries ('x,y' for tiles), for the exporters.
+export function subscribedHistories(){
+  return [...historySubscribers].filter(source => source?.history).map(source => ({ id: source.id ?? `${source.x},${source.y}`, history: source.history }));
+}
+
+// --- Export ---
+function csvCell(value){
+  if(typeof value === 'number') return Number.isFinite(value) ? String(value) : '';
+  const text = String(value ?? '');
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One row per sample, across every tier of every entry: `source,tier,t_s,<channel>...`. Channels
+// an entry does not record are left empty.
+export function historiesToCSV(entries){
+  const channels = [...new Set(entries.flatMap(e => e.history.channels))];
+  const lines = [['source', 'tier', 't_s', ...channels].map(csvCell).join(',')];
+  for(const { id, history } of entries){
+    history.tiers.forEach((tier, k) => {
+      const { t, values } = history.series(k);
+      t.forEach((time, i) => {
+        lines.push([id, tier.name, time / 1000, ...channels.map(name => values[name]?.[i] ?? NaN)].map(csvCell).join(','));
+      });
     });
-    if(meta) meta.lastSampleAt = now;
-    while(history.length && history[0].t < cutoff){ history.shift(); }
-    if(history.length>200) history.shift();
   }
+  return lines.join('\n') + '\n';
+}
+
+// `{ sources: [{ id, channels, tiers: { [tier]: { sampleMs, spanMs, t_s, values } } }] }`, with
+// missing values as null.
+export function historiesToJSON(entries){
+  const clean = (list) => list.map(v => Number.isFinite(v) ? v : null);
+  return {
+    sources: entries.map(({ id, history }) => ({
+      id,
+      channels: history.channels,
+      tiers: Object.fromEntries(history.tiers.map((tier, k) => {
+        const { t, values } = history.series(k);
+        const columns = Object.fromEntries(Object.entries(values).map(([name, list]) => [name, clean(list)]));
+        return [tier.name, { sampleMs: tier.sampleMs, spanMs: tier.spanMs, t_s: t.map(ms => ms / 1000), values: columns }];
+      }))
+    }))
+  };
+}
+
+// Saves `entries` as `chem-sim-history.csv` or `.json` through a temporary download link.
+export function downloadHistories(entries, format = 'csv'){
+  const csv = format === 'csv';
+  const text = csv ? historiesToCSV(entries) : JSON.stringify(historiesToJSON(entries), null, 2);
+  const blob = new Blob([text], { type: csv ? 'text/csv' : 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `chem-sim-history.${csv ? 'csv' : 'json'}`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
 }
@@ -1,4 +1,6 @@
 import { subscribeHistory, unsubscribeHistory } from './history.js';
+import { createUnits, tileVolumeOf, AMOUNT_UNITS, DEFAULT_TILE_VOLUME_L } from './units.js';
+import { aggregateRegion, clipRegion, createRegionSource, regionKey } from './region.js';
 
 const SVG_NS = 'http://www.w3.org/2000/svg';
 
@@ -9,6 +11,9 @@ const SPECIES_COLORS = {
   solid: '#eaeff5',
   neutral: '#9ea9ff'
 };
+const CURRENT_FULL_SCALE = 2; // A at a full stat bar
+const POWER_FULL_SCALE = 10;  // W
+const UNIT_SUFFIX = { mol: ' mol', g: ' g', 'mol/L': ' M' };
 
 function clampPercent(value){
   return Math.max(0, Math.min(100, value));
@@ -25,42 +30,73 @@ function formatQty(value){
 function colorForSpecies(id, bag, materialRegistry){
   if(bag === 'gas') return SPECIES_COLORS.gas;
   if(bag === 'solids') return SPECIES_COLORS.solid;
-  const mat = materialRegistry?.get(id);
+  const mat = materialRegistry.get(id);
   const corrosivity = mat?.corrosivity || '';
   const tags = mat?.hazardTags || [];
   if(tags.includes('acid') || /acid/.test(corrosivity)) return SPECIES_COLORS.acid;
   if(tags.includes('base') || /base/.test(corrosivity)) return SPECIES_COLORS.base;
-  if(mat?.phaseSTP === 'g' || /(_g|\(g\))$/.test(id)) return SPECIES_COLORS.gas;
-  if(mat?.phaseSTP === 's' || /\(s\)$/.test(id)) return SPECIES_COLORS.solid;
+  if(!mat) materialRegistry.reportUnknown(id, 'inspector');
+  const phase = mat ? materialRegistry.phaseOf(id) : null;
+  if(phase === 'g') return SPECIES_COLORS.gas;
+  if(phase === 's') return SPECIES_COLORS.solid;
   return SPECIES_COLORS.neutral;
 }
 
-function buildSparklineData(history){
-  if(!history || history.length < 2) return null;
-  const width = 200;
-  const height = 60;
-  const pad = 4;
-  const minT = history[0].t;
-  const maxT = history[history.length - 1].t;
-  const span = Math.max(1, maxT - minT);
-  const temps = history.map(h => h.temp);
-  const presses = history.map(h => (h.pressure || 0));
-  const minTemp = Math.min(...temps);
-  const maxTemp = Math.max(...temps);
-  const minPress = Math.min(...presses);
-  const maxPress = Math.max(...presses);
-  const mapPoints = (values, minVal, maxVal) => values.map((v, i) => {
-    const x = pad + ((history[i].t - minT) / span) * (width - 2 * pad);
+const SPARK_WIDTH = 200;
+const SPARK_HEIGHT = 60;
+const SPARK_PAD = 4;
+const PIN_COLORS = ['#ffd166', '#06d6a0', '#ef476f', '#4cc9f0', '#c77dff', '#ff9f1c'];
+const COMPARE_FIELDS = { temp: { suffix: '°C', digits: 1 }, pressure: { suffix: '', digits: 2 }, pH: { suffix: '', digits: 2 }, gasSum: { suffix: ' mol', digits: 3 } };
+
+// SVG polyline points for `values` sampled at `times`, on axes spanning minT..minT+span and minVal..maxVal.
+function polylinePoints(times, values, minT, span, minVal, maxVal){
+  return values.map((v, i) => {
+    const x = SPARK_PAD + ((times[i] - minT) / span) * (SPARK_WIDTH - 2 * SPARK_PAD);
     const range = maxVal - minVal;
     const ratio = range ? ((v - minVal) / range) : 0.5;
-    const y = height - pad - ratio * (height - 2 * pad);
+    const y = SPARK_HEIGHT - SPARK_PAD - ratio * (SPARK_HEIGHT - 2 * SPARK_PAD);
     return `${x.toFixed(1)},${y.toFixed(1)}`;
   }).join(' ');
+}
+
+// Temperature and pressure lines over the history's time span; a series whose channel the history
+// does not record (or has fewer than two samples of) is null.
+function buildSparklineData(history){
+  if(!history || history.length < 2) return null;
+  const minT = history[0].t;
+  const span = Math.max(1, history[history.length - 1].t - minT);
+  const series = (field, format) => {
+    const samples = history.filter(h => Number.isFinite(h[field]));
+    if(samples.length < 2) return null;
+    const values = samples.map(h => h[field]);
+    return {
+      points: polylinePoints(samples.map(h => h.t), values, minT, span, Math.min(...values), Math.max(...values)),
+      label: format(values[values.length - 1])
+    };
+  };
+  const temp = series('temp', v => `${v.toFixed(1)}°C`);
+  const pressure = series('pressure', v => v.toFixed(2));
+  return temp || pressure ? { temp, pressure } : null;
+}
+
+// One channel of several histories on shared time and value axes: `entries` are
+// `{ key, color, samples }`; entries with fewer than two samples are listed without a line.
+function buildOverlayData(entries, field){
+  const usable = entries.map(e => ({ ...e, samples: (e.samples || []).filter(h => Number.isFinite(h[field])) }));
+  const all = usable.flatMap(e => e.samples);
+  if(all.length < 2) return null;
+  const times = all.map(h => h.t), values = all.map(h => h[field]);
+  const minT = Math.min(...times), span = Math.max(1, Math.max(...times) - minT);
+  const minVal = Math.min(...values), maxVal = Math.max(...values);
   return {
-    tempPoints: mapPoints(temps, minTemp, maxTemp),
-    pressurePoints: mapPoints(presses, minPress, maxPress),
-    tempLabel: `${temps[temps.length - 1].toFixed(1)}°C`,
-    pressureLabel: `${(presses[presses.length - 1]).toFixed(2)}`
+    minVal,
+    maxVal,
+    lines: usable.map(e => ({
+      key: e.key,
+      color: e.color,
+      points: e.samples.length >= 2 ? polylinePoints(e.samples.map(h => h.t), e.samples.map(h => h[field]), minT, span, minVal, maxVal) : '',
+      last: e.samples.length ? e.samples[e.samples.length - 1][field] : null
+    }))
   };
 }
 
@@ -80,14 +116,25 @@ export class InspectorComponent {
   constructor(container, materialRegistry){
     this.container = container;
     this.materialRegistry = materialRegistry;
+    this.units = createUnits(materialRegistry);
+    this.amountUnit = 'mol';
+    this.tileVolume = DEFAULT_TILE_VOLUME_L;
+    this.amountVolume = DEFAULT_TILE_VOLUME_L;
     this.focus = null;
+    this.region = null;
+    this.pins = [];
+    this.compareField = 'temp';
+    this.world = null;
+    this.lastTile = null;
     this.lastTileKey = null;
     this.lastStats = null;
     this.lastReactionsSig = '';
     this.lastSpeciesSig = '';
     this.lastGasSig = '';
     this.lastSolidSig = '';
+    this.lastTransitionsSig = '';
     this.lastSparkSig = '';
+    this.lastPinsSig = '';
     this._build();
     this._showPlaceholder();
   }
@@ -119,6 +166,12 @@ export class InspectorComponent {
     this.tileSubtitle.className = 'muted';
     this.tileSubtitle.textContent = 'Last 10s trends';
     metaRow.appendChild(this.tileSubtitle);
+    this.pinButton = document.createElement('button');
+    this.pinButton.className = 'pin-button';
+    this.pinButton.onclick = () => {
+      if(this.focus && this.world) this.togglePin(this.world, this.focus.x, this.focus.y);
+    };
+    metaRow.appendChild(this.pinButton);
     this.tilePanel.appendChild(metaRow);
 
     this.sparklineWrap = document.createElement('div');
@@ -127,7 +180,7 @@ export class InspectorComponent {
 
     this.sparklineSVG = document.createElementNS(SVG_NS, 'svg');
     this.sparklineSVG.setAttribute('class', 'sparkline');
-    this.sparklineSVG.setAttribute('viewBox', '0 0 200 60');
+    this.sparklineSVG.setAttribute('viewBox', `0 0 ${SPARK_WIDTH} ${SPARK_HEIGHT}`);
     this.sparklineSVG.setAttribute('preserveAspectRatio', 'none');
     this.sparklineWrap.appendChild(this.sparklineSVG);
 
@@ -175,9 +228,39 @@ export class InspectorComponent {
     this.statsGrid.appendChild(pressureRow.container);
     this.stats.pressure = pressureRow;
 
+    const currentRow = this._createStatRow('Current', ' A');
+    this.statsGrid.appendChild(currentRow.container);
+    this.stats.current = currentRow;
+
+    const powerRow = this._createStatRow('Power', ' W');
+    this.statsGrid.appendChild(powerRow.container);
+    this.stats.power = powerRow;
+
+    this.rangeLine = document.createElement('div');
+    this.rangeLine.className = 'range-line muted';
+    this.tilePanel.appendChild(this.rangeLine);
+
     const reactions = createPanel(this.detail, 'Active Reactions');
     this.reactionsContainer = reactions.body;
 
+    const transitions = createPanel(this.detail, 'Phase Changes');
+    this.transitionsContainer = transitions.body;
+
+    const unitRow = document.createElement('label');
+    unitRow.className = 'unit-row muted';
+    unitRow.textContent = 'Amounts in ';
+    this.unitSelect = document.createElement('select');
+    for(const unit of AMOUNT_UNITS){
+      const option = document.createElement('option');
+      option.value = unit;
+      option.textContent = unit;
+      this.unitSelect.appendChild(option);
+    }
+    this.unitSelect.value = this.amountUnit;
+    this.unitSelect.onchange = () => this.setAmountUnit(this.unitSelect.value);
+    unitRow.appendChild(this.unitSelect);
+    this.detail.appendChild(unitRow);
+
     const speciesPanel = createPanel(this.detail, 'Species (aq)');
     this.speciesContainer = speciesPanel.body;
 
@@ -186,6 +269,44 @@ export class InspectorComponent {
 
     const solidPanel = createPanel(this.detail, 'Solids');
     this.solidContainer = solidPanel.body;
+
+    // Pinned tiles stay visible whatever is selected, so they live outside `detail`.
+    const pinsPanel = createPanel(this.root, 'Pinned tiles');
+    this.pinsSection = pinsPanel.section;
+    this.pinsSection.style.display = 'none';
+    const compareRow = document.createElement('label');
+    compareRow.className = 'unit-row muted';
+    compareRow.textContent = 'Compare ';
+    this.compareSelect = document.createElement('select');
+    for(const field of Object.keys(COMPARE_FIELDS)){
+      const option = document.createElement('option');
+      option.value = field;
+      option.textContent = field;
+      this.compareSelect.appendChild(option);
+    }
+    this.compareSelect.value = this.compareField;
+    this.compareSelect.onchange = () => this.setCompareField(this.compareSelect.value);
+    compareRow.appendChild(this.compareSelect);
+    pinsPanel.body.appendChild(compareRow);
+
+    this.compareSVG = document.createElementNS(SVG_NS, 'svg');
+    this.compareSVG.setAttribute('class', 'sparkline compare');
+    this.compareSVG.setAttribute('viewBox', `0 0 ${SPARK_WIDTH} ${SPARK_HEIGHT}`);
+    this.compareSVG.setAttribute('preserveAspectRatio', 'none');
+    pinsPanel.body.appendChild(this.compareSVG);
+    this.compareScale = document.createElement('div');
+    this.compareScale.className = 'sparkline-legend muted';
+    pinsPanel.body.appendChild(this.compareScale);
+
+    this.pinsLegend = document.createElement('div');
+    this.pinsLegend.className = 'pins-legend';
+    this.pinsLegend.onclick = (event) => {
+      const key = event.target?.dataset?.unpin;
+      if(!key || !this.world) return;
+      const [x, y] = key.split(',').map(Number);
+      this.unpin(this.world, x, y);
+    };
+    pinsPanel.body.appendChild(this.pinsLegend);
   }
 
   _createStatRow(label, unitSuffix=''){
@@ -212,26 +333,189 @@ export class InspectorComponent {
     this.detail.style.display = '';
   }
 
+  // Shows bag amounts as moles, grams or concentration in the tile's volume.
+  setAmountUnit(unit){
+    if(!AMOUNT_UNITS.includes(unit) || unit === this.amountUnit) return;
+    this.amountUnit = unit;
+    if(this.unitSelect) this.unitSelect.value = unit;
+    this.lastSpeciesSig = '';
+    this.lastGasSig = '';
+    this.lastSolidSig = '';
+    if(this.region) this._updateRegion();
+    else if(this.lastTile && this.focus) this._updateTile(this.lastTile, this.focus);
+  }
+
   select(world, x, y){
+    this.tileVolume = tileVolumeOf(world);
     const tile = world.tile(x, y);
     if(!tile){
       this.clear(world);
       return null;
     }
+    this.world = world;
+    this._dropRegion();
     if(this.focus){
       const prev = world.tile(this.focus.x, this.focus.y);
-      if(prev && prev !== tile){
-        unsubscribeHistory(prev);
-      }
+      if(prev && prev !== tile) this._release(world, this.focus);
     }
     subscribeHistory(tile);
     this.focus = { x, y };
     this._updateTile(tile, this.focus);
+    this._updatePins(world);
     return tile;
   }
 
+  // Inspects the tiles of `region` (see region.js) together; a one-tile region selects that tile.
+  selectRegion(world, region){
+    const clipped = clipRegion(region, world);
+    if(!clipped.cells.length){
+      this.clear(world);
+      return null;
+    }
+    if(clipped.cells.length === 1) return this.select(world, clipped.cells[0].x, clipped.cells[0].y);
+    this.tileVolume = tileVolumeOf(world);
+    this.world = world;
+    if(this.focus){
+      this._release(world, this.focus);
+      this.focus = null;
+    }
+    this._dropRegion();
+    this.region = createRegionSource(world, clipped);
+    subscribeHistory(this.region);
+    this._updateRegion();
+    this._updatePins(world);
+    return clipped;
+  }
+
+  // Stops recording the tile at `coords` unless a pin still needs its history.
+  _release(world, coords){
+    if(this.isPinned(coords.x, coords.y)) return;
+    const tile = world.tile(coords.x, coords.y);
+    if(tile) unsubscribeHistory(tile);
+  }
+
+  _dropRegion(){
+    if(!this.region) return;
+    unsubscribeHistory(this.region);
+    this.region = null;
+  }
+
+  // The selected region's aggregate (see region.js), or null when a single tile is selected.
+  regionSummary(){
+    if(!this.region) return null;
+    const agg = aggregateRegion(this.region.world, this.region.region);
+    agg.history = this.region.history;
+    return agg;
+  }
+
+  // --- Pins ---
+  // Pinned tiles keep their history subscription while the selection moves elsewhere, and are
+  // compared in the "Pinned tiles" panel. Each gets one of PIN_COLORS, so there are at most that many.
+  isPinned(x, y){
+    return this.pins.some(p => p.x === x && p.y === y);
+  }
+
+  pin(world, x, y){
+    const tile = world.tile(x, y);
+    if(!tile || this.isPinned(x, y) || this.pins.length >= PIN_COLORS.length) return false;
+    const color = PIN_COLORS.find(c => !this.pins.some(p => p.color === c));
+    this.pins.push({ x, y, color });
+    subscribeHistory(tile);
+    this.world = world;
+    this._updatePins(world);
+    this._updatePinButton();
+    return true;
+  }
+
+  unpin(world, x, y){
+    const i = this.pins.findIndex(p => p.x === x && p.y === y);
+    if(i < 0) return false;
+    this.pins.splice(i, 1);
+    const focused = this.focus && this.focus.x === x && this.focus.y === y;
+    if(!focused){
+      const tile = world.tile(x, y);
+      if(tile) unsubscribeHistory(tile);
+    }
+    this._updatePins(world);
+    this._updatePinButton();
+    return true;
+  }
+
+  togglePin(world, x, y){
+    return this.isPinned(x, y) ? this.unpin(world, x, y) : this.pin(world, x, y);
+  }
+
+  clearPins(world){
+    for(const { x, y } of [...this.pins]) this.unpin(world, x, y);
+  }
+
+  // Tiles are new objects after a clear or restore: subscribes the pins' new tiles, dropping pins
+  // outside `world`.
+  resubscribePins(world){
+    this.world = world;
+    this.pins = this.pins.filter(p => world.tile(p.x, p.y));
+    for(const p of this.pins) subscribeHistory(world.tile(p.x, p.y));
+    this.lastPinsSig = '';
+    this._updatePins(world);
+  }
+
+  setCompareField(field){
+    if(!(field in COMPARE_FIELDS) || field === this.compareField) return;
+    this.compareField = field;
+    if(this.compareSelect) this.compareSelect.value = field;
+    this.lastPinsSig = '';
+    if(this.world) this._updatePins(this.world);
+  }
+
+  _updatePinButton(){
+    if(!this.pinButton) return;
+    const pinned = !!this.focus && this.isPinned(this.focus.x, this.focus.y);
+    const label = pinned ? 'Unpin' : 'Pin';
+    if(this.pinButton.textContent !== label) this.pinButton.textContent = label;
+    this.pinButton.disabled = !pinned && this.pins.length >= PIN_COLORS.length;
+    this.pinButton.style.display = this.focus ? '' : 'none';
+  }
+
+  _updatePins(world){
+    if(!this.pins.length){
+      this.pinsSection.style.display = 'none';
+      this.lastPinsSig = '';
+      return;
+    }
+    this.pinsSection.style.display = '';
+    const field = this.compareField, { suffix, digits } = COMPARE_FIELDS[field];
+    const entries = this.pins.map(p => ({ key: `${p.x},${p.y}`, color: p.color, samples: world.tile(p.x, p.y)?.history?.samples(0) || [] }));
+    const data = buildOverlayData(entries, field);
+    const lines = data ? data.lines : entries.map(e => ({ key: e.key, color: e.color, points: '', last: null }));
+    const format = (v) => Number.isFinite(v) ? `${v.toFixed(digits)}${suffix}` : '–';
+    const signature = `${field}|${lines.map(l => `${l.key}:${l.color}:${l.points}:${format(l.last)}`).join('|')}`;
+    if(signature === this.lastPinsSig) return;
+    this.lastPinsSig = signature;
+    const polylines = lines.filter(l => l.points).map(l => {
+      const line = document.createElementNS(SVG_NS, 'polyline');
+      line.setAttribute('points', l.points);
+      line.setAttribute('stroke', l.color);
+      return line;
+    });
+    this.compareSVG.replaceChildren(...polylines);
+    this.compareSVG.style.display = polylines.length ? '' : 'none';
+    this.compareScale.textContent = data ? `${field} ${format(data.minVal)} – ${format(data.maxVal)} (shared axes)` : 'Collecting history…';
+    this.pinsLegend.innerHTML = lines.map(l => `
+      <span class="pin-entry"><i class="pin-swatch" style="background:${l.color}"></i>(${l.key}) ${format(l.last)}
+      <button class="pin-remove" data-unpin="${l.key}" title="Unpin">×</button></span>
+    `).join('');
+  }
+
   refresh(world){
+    this.world = world;
+    this._updatePins(world);
+    if(this.region){
+      this.tileVolume = tileVolumeOf(world);
+      this._updateRegion();
+      return;
+    }
     if(!this.focus) return;
+    this.tileVolume = tileVolumeOf(world);
     const tile = world.tile(this.focus.x, this.focus.y);
     if(!tile){
       this.clear(world);
@@ -241,12 +525,22 @@ export class InspectorComponent {
   }
 
   onWorldCleared(world){
+    this.tileVolume = tileVolumeOf(world);
+    this.world = world;
+    this.resubscribePins(world);
     this.lastStats = null;
     this.lastReactionsSig = '';
     this.lastSpeciesSig = '';
     this.lastGasSig = '';
     this.lastSolidSig = '';
+    this.lastTransitionsSig = '';
     this.lastSparkSig = '';
+    if(this.region){
+      this.region.world = world;
+      subscribeHistory(this.region);
+      this._updateRegion();
+      return;
+    }
     if(this.focus){
       const tile = world.tile(this.focus.x, this.focus.y);
       if(tile){
@@ -256,41 +550,70 @@ export class InspectorComponent {
       }
     }
     this.focus = null;
+    this.lastTile = null;
     this._showPlaceholder();
   }
 
   clear(world){
-    if(this.focus){
-      const tile = world.tile(this.focus.x, this.focus.y);
-      if(tile) unsubscribeHistory(tile);
-    }
+    if(this.focus) this._release(world, this.focus);
+    this._dropRegion();
     this.focus = null;
+    this.lastTile = null;
     this.lastTileKey = null;
     this.lastStats = null;
     this.lastReactionsSig = '';
     this.lastSpeciesSig = '';
     this.lastGasSig = '';
     this.lastSolidSig = '';
+    this.lastTransitionsSig = '';
     this.lastSparkSig = '';
     this._showPlaceholder();
+    this._updatePins(world);
   }
 
   _updateTile(tile, coords){
-    const key = `${coords.x},${coords.y}`;
+    const kind = tile.kind && tile.kind !== 'open'
+      ? ` · ${tile.kind}${tile.source ? ` (${tile.source.id} ${tile.source.rate}/s)` : ''}${tile.electrode ? ` (${tile.electrode.voltage} V)` : ''}`
+      : '';
+    this.amountVolume = this.tileVolume;
+    this._render(tile, `${coords.x},${coords.y}`, `Tile (${coords.x},${coords.y})${kind}`);
+    this.rangeLine.style.display = 'none';
+    this._updatePinButton();
+  }
+
+  _updateRegion(){
+    const agg = this.regionSummary();
+    const { bounds, kind, cells } = this.region.region;
+    this.amountVolume = this.tileVolume * Math.max(1, agg.count);
+    this._render(agg, regionKey(this.region.region), `Region · ${cells.length} tiles (${bounds.x0},${bounds.y0})–(${bounds.x1},${bounds.y1})${kind === 'freehand' ? ' · freehand' : ''}`);
+    const { temp, pH, pressure } = agg.range;
+    const text = agg.count
+      ? `Temp ${temp.min.toFixed(1)}–${temp.max.toFixed(1)}°C · pH ${pH.min.toFixed(2)}–${pH.max.toFixed(2)} · Pressure ${pressure.min.toFixed(2)}–${pressure.max.toFixed(2)} (min–max; bars show means)`
+      : '';
+    if(this.rangeLine.textContent !== text) this.rangeLine.textContent = text;
+    this.rangeLine.style.display = '';
+    this._updatePinButton();
+  }
+
+  // Renders a tile, or anything shaped like one, under `title`; `key` identifies what is shown.
+  _render(tile, key, title){
+    this.lastTile = tile;
     if(this.lastTileKey !== key){
       this.lastStats = null;
       this.lastReactionsSig = '';
       this.lastSpeciesSig = '';
       this.lastGasSig = '';
       this.lastSolidSig = '';
+      this.lastTransitionsSig = '';
       this.lastSparkSig = '';
       this.lastTileKey = key;
     }
     this._showDetail();
-    this.tileTitle.textContent = `Tile (${coords.x},${coords.y})`;
+    if(this.tileTitle.textContent !== title) this.tileTitle.textContent = title;
     this._updateStats(tile);
-    this._updateSparkline(tile.history);
+    this._updateSparkline(tile.history?.samples(0));
     this._updateReactions(tile);
+    this._updateTransitions(tile);
     this._updateSpeciesList(this.speciesContainer, tile.species, 'species', sig => this.lastSpeciesSig = sig, this.lastSpeciesSig);
     this._updateSpeciesList(this.gasContainer, tile.gas, 'gas', sig => this.lastGasSig = sig, this.lastGasSig);
     this._updateSpeciesList(this.solidContainer, tile.solids, 'solids', sig => this.lastSolidSig = sig, this.lastSolidSig);
@@ -302,6 +625,8 @@ export class InspectorComponent {
     const pH = tile.pH;
     const moisture = tile.moisture;
     const pressure = tile.pressure || 0;
+    const current = tile.current || 0;
+    const power = tile.power || 0;
     if(!this.lastStats || Math.abs(temp - snapshot.temp) > 0.05){
       this.stats.temp.bar.style.width = `${clampPercent((temp - 20) / 5)}%`;
       this.stats.temp.value.textContent = `${temp.toFixed(1)}${this.stats.temp.unitSuffix}`;
@@ -318,7 +643,15 @@ export class InspectorComponent {
       this.stats.pressure.bar.style.width = `${clampPercent((pressure / 12) * 100)}%`;
       this.stats.pressure.value.textContent = pressure.toFixed(2);
     }
-    this.lastStats = { temp, pH, moisture, pressure };
+    if(!this.lastStats || Math.abs(current - snapshot.current) > 0.005){
+      this.stats.current.bar.style.width = `${clampPercent(current / CURRENT_FULL_SCALE * 100)}%`;
+      this.stats.current.value.textContent = `${current.toFixed(2)}${this.stats.current.unitSuffix}`;
+    }
+    if(!this.lastStats || Math.abs(power - snapshot.power) > 0.005){
+      this.stats.power.bar.style.width = `${clampPercent(power / POWER_FULL_SCALE * 100)}%`;
+      this.stats.power.value.textContent = `${power.toFixed(2)}${this.stats.power.unitSuffix}`;
+    }
+    this.lastStats = { temp, pH, moisture, pressure, current, power };
   }
 
   _updateSparkline(history){
@@ -326,16 +659,21 @@ export class InspectorComponent {
     if(!data){
       this.sparklineSVG.style.display = 'none';
       this.sparklineLegend.style.display = 'none';
+      this.sparklineEmpty.textContent = history?.length >= 2 ? 'History records neither temperature nor pressure.' : 'Collecting history…';
       this.sparklineEmpty.style.display = '';
       this.lastSparkSig = '';
       return;
     }
-    const signature = `${data.tempPoints}|${data.pressurePoints}|${data.tempLabel}|${data.pressureLabel}`;
+    const { temp, pressure } = data;
+    const signature = `${temp?.points}|${pressure?.points}|${temp?.label}|${pressure?.label}`;
     if(signature !== this.lastSparkSig){
-      this.tempPolyline.setAttribute('points', data.tempPoints);
-      this.pressurePolyline.setAttribute('points', data.pressurePoints);
-      this.tempLegendEntry.textContent = `Temp ${data.tempLabel}`;
-      this.pressureLegendEntry.textContent = `Pressure ${data.pressureLabel}`;
+      const show = (line, entry, s, name) => {
+        line.style.display = entry.style.display = s ? '' : 'none';
+        line.setAttribute('points', s ? s.points : '');
+        entry.textContent = s ? `${name} ${s.label}` : '';
+      };
+      show(this.tempPolyline, this.tempLegendEntry, temp, 'Temp');
+      show(this.pressurePolyline, this.pressureLegendEntry, pressure, 'Pressure');
       this.lastSparkSig = signature;
     }
     this.sparklineSVG.style.display = '';
@@ -356,31 +694,56 @@ export class InspectorComponent {
     const signature = JSON.stringify(sorted.map(item => [
       item.id,
       Number((item.extent || 0).toFixed(3)),
+      Number((item.rate || 0).toPrecision(2)),
       item.limiter || '',
+      (item.sharedWith || []).join(','),
+      Number((item.share ?? 1).toFixed(2)),
       !!item.fizz,
       !!item.heat,
+      item.reversible ? [Number((item.forward || 0).toFixed(4)), Number((item.reverse || 0).toFixed(4)), !!item.equilibrium] : null,
+      (item.catalysts || []).map(c => [c.id, Number((c.strength || 0).toFixed(2))]),
       (item.products || []).map(p => [p.id, Number((p.qty || 0).toFixed(3))])
     ]));
     if(signature === this.lastReactionsSig) return;
     this.lastReactionsSig = signature;
     const markup = sorted.map(info => {
       const percent = Math.round(Math.min(1, info.extent || 0) * 100);
-      const limiterLabel = info.limiter && info.limiter !== 'rate' ? info.limiter : 'rate-limited';
-      const icons = `${info.fizz ? '<span class="icon" title="Gas evolution">⚡</span>' : ''}${info.heat ? '<span class="icon" title="Exothermic heat spike">🔥</span>' : ''}`;
+      const sharedLabel = info.sharedWith?.length ? ` (shared with ${info.sharedWith.join(', ')}, ${Math.round((info.share ?? 1) * 100)}% share)` : '';
+      const limiterLabel = info.limiter && info.limiter !== 'rate' ? `${info.limiter}${sharedLabel}` : 'rate-limited';
+      const icons = `${info.reversible ? '<span class="icon" title="Reversible">⇌</span>' : ''}${info.fizz ? '<span class="icon" title="Gas evolution">⚡</span>' : ''}${info.heat ? '<span class="icon" title="Exothermic heat spike">🔥</span>' : ''}`;
       const products = (info.products || []).sort((a,b)=>(b.qty || 0) - (a.qty || 0)).slice(0,4)
         .map(p => `${p.id} (${formatQty(p.qty || 0)})`).join(', ') || '—';
+      const catalysts = (info.catalysts || [])
+        .map(c => `${c.id} ×${formatQty(c.multiplier)} (${Math.round((c.strength || 0) * 100)}% active)`).join(', ');
+      const balanceRow = info.reversible
+        ? `<div class="meta"><strong>Fwd / Rev</strong><span>${formatQty(info.forward || 0)} / ${formatQty(info.reverse || 0)}${info.equilibrium ? ' · at equilibrium' : ` · net ${info.direction}`}</span></div>`
+        : '';
+      const catalystRow = catalysts ? `<div class="meta"><strong>Catalyst</strong><span>${catalysts}</span></div>` : '';
       return `
         <div class="reaction">
           <header><span class="rxid">${info.id}</span><span class="icons">${icons}</span></header>
           <div class="meter"><i style="width:${percent}%"></i></div>
           <div class="meta"><strong>Intensity</strong><span>${percent}%</span></div>
+          <div class="meta"><strong>Rate</strong><span>${formatQty(info.rate || 0)}/s</span></div>
           <div class="meta"><strong>Limiter</strong><span>${limiterLabel}</span></div>
           <div class="meta"><strong>Products</strong><span>${products}</span></div>
+          ${balanceRow}
+          ${catalystRow}
         </div>`;
     }).join('');
     this.reactionsContainer.innerHTML = markup;
   }
 
+  _updateTransitions(tile){
+    const list = (tile._transitions || []).filter(t => t.amount > 0.0001).sort((a,b) => b.amount - a.amount).slice(0,4);
+    const signature = JSON.stringify(list.map(t => [t.id, t.kind, Number(t.amount.toFixed(4)), !!t.complete]));
+    if(signature === this.lastTransitionsSig) return;
+    this.lastTransitionsSig = signature;
+    this.transitionsContainer.innerHTML = list.length
+      ? list.map(t => `<div class="meta"><strong>${t.id}</strong><span>${t.kind}${t.complete ? ' (complete)' : ''} · ${formatQty(t.amount)}</span></div>`).join('')
+      : '<div class="muted">None</div>';
+  }
+
   _updateSpeciesList(container, entries, bag, setSignature, currentSignature){
     const items = Object.entries(entries || {})
       .filter(([, value]) => value > 0.0001)
@@ -395,10 +758,13 @@ export class InspectorComponent {
     }
     const signature = JSON.stringify(items.map(([id, value]) => [id, Number(value.toFixed(3))]));
     if(signature === currentSignature) return;
+    const unit = this.amountUnit;
     const markup = items.map(([id, value]) => {
       const width = clampPercent(Math.max(4, (value / items[0][1]) * 100));
       const color = colorForSpecies(id, bag, this.materialRegistry);
-      return `<div class="bar-row"><span class="label">${id}</span><div class="bar-track"><i style="width:${width}%; background:${color};"></i></div><span class="value">${formatQty(value)}</span></div>`;
+      const shown = this.units.convert(id, value, unit, this.amountVolume);
+      const label = shown === null ? '—' : `${formatQty(shown)}${UNIT_SUFFIX[unit]}`;
+      return `<div class="bar-row"><span class="label">${id}</span><div class="bar-track"><i style="width:${width}%; background:${color};"></i></div><span class="value">${label}</span></div>`;
     }).join('');
     container.innerHTML = markup;
     setSignature(signature);
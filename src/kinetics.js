@@ -0,0 +1,88 @@
+// Reaction kinetics: temperature dependence (Arrhenius) and concentration orders.
+//
+// Optional `rates` fields, all falling back to the constant `base` rate:
+//   A                 pre-exponential factor (1/s); with Ea gives k = A·exp(-Ea/RT)
+//   Ea_kJ_per_mol     activation energy; without A, scales `base` relative to refTemp_C
+//   refTemp_C         temperature at which `base` applies (default 20 °C)
+//   orders            { species: order } so rate = k · V · Π (amount / V)^order
+//   electrons         electrons transferred per unit of extent; makes the reaction current-driven
+//                     (Faraday's law): rate = tile current / (electrons · FARADAY), regardless of
+//                     temperature or concentration. Pair it with `requires.power` for a threshold.
+//                     Current is in scaled amperes (see FARADAY).
+//
+// Reversible reactions add one of:
+//   reverse           its own rate block (base/A/Ea_kJ_per_mol/refTemp_C/orders) over the products
+//   K_eq              equilibrium constant at refTemp_C; the reverse constant becomes k_f / K(T)
+//   deltaH_kJ_per_mol with K_eq, shifts K with temperature (van 't Hoff): exothermic
+//                     reactions (ΔH < 0) fall back toward reactants as the tile heats up
+// Reverse orders default to 1 per product, so K_eq is defined against the same orders as the rates.
+//
+// Rates are per unit of tile volume V (litres, see units.js) and concentrations are amount / V, so
+// k is in mol/(L·s) scaled by (L/mol)^Σorder; the extent per tile is that times V. At the default
+// 1 L tile this is the same number as k · Π amount^order.
+
+export const GAS_CONSTANT = 8.314; // J/(mol·K)
+export const DEFAULT_BASE_RATE = 0.5;
+// Current is in scaled units: one scaled ampere carries a mole of electrons per second, so the sim's
+// Faraday constant is 1 rather than 96485 C/mol. At the currents the electric pass produces, real
+// amperes would electrolyse well under a millimole a minute; scaled ones keep electrolysis visible
+// on bench timescales.
+export const FARADAY = 1; // scaled A·s per mole of electrons
+const DEFAULT_REF_TEMP_C = 20;
+
+function kelvin(tempC){
+  return Math.max(1, tempC + 273.15);
+}
+
+export function rateConstant(rates, tempC){
+  const base = rates?.base ?? DEFAULT_BASE_RATE;
+  const Ea = rates?.Ea_kJ_per_mol;
+  if(!Ea) return rates?.A ?? base;
+  const T = kelvin(tempC);
+  if(rates.A !== undefined) return rates.A * Math.exp(-Ea * 1000 / (GAS_CONSTANT * T));
+  const Tref = kelvin(rates.refTemp_C ?? DEFAULT_REF_TEMP_C);
+  return base * Math.exp(-Ea * 1000 / GAS_CONSTANT * (1 / T - 1 / Tref));
+}
+
+function concentrationTerm(orders, amounts, volume){
+  let term = volume;
+  for(const [sp, order] of Object.entries(orders || {})){
+    if(order) term *= Math.pow(Math.max(0, amounts[sp] || 0) / volume, order);
+  }
+  return term;
+}
+
+// Rate (extent per second in a tile of `volume` litres) before surface, catalyst and reactant limits.
+export function reactionRate(rates, tempC, amounts, current = 0, volume = 1){
+  if(rates?.electrons) return Math.max(0, current) / (rates.electrons * FARADAY);
+  return rateConstant(rates, tempC) * concentrationTerm(rates?.orders, amounts, volume);
+}
+
+export function isReversible(rx){
+  return !!(rx.rates?.reverse || rx.rates?.K_eq);
+}
+
+export function equilibriumConstant(rates, tempC){
+  if(!rates?.K_eq) return Infinity;
+  const dH = rates.deltaH_kJ_per_mol;
+  if(!dH) return rates.K_eq;
+  const T = kelvin(tempC);
+  const Tref = kelvin(rates.refTemp_C ?? DEFAULT_REF_TEMP_C);
+  return rates.K_eq * Math.exp(-dH * 1000 / GAS_CONSTANT * (1 / T - 1 / Tref));
+}
+
+// Reverse rate (extent per second converting products back to reactants); 0 for one-way reactions.
+export function reverseRate(rx, tempC, amounts, volume = 1){
+  const rates = rx.rates || {};
+  let k, orders;
+  if(rates.reverse){
+    k = rateConstant(rates.reverse, tempC);
+    orders = rates.reverse.orders;
+  } else if(rates.K_eq){
+    k = rateConstant(rates, tempC) / equilibriumConstant(rates, tempC);
+  } else {
+    return 0;
+  }
+  orders = orders || Object.fromEntries(Object.keys(rx.stoich?.products || {}).map(sp => [sp, 1]));
+  return k * concentrationTerm(orders, amounts, volume);
+}
@@ -0,0 +1,69 @@
+// Atom ledger: total atoms of each element across the world, for catching mass leaks.
+//
+// Every amount in a tile's `species`, `solids` and `gas` bags is broken into elements through its
+// formula (see formula.js). The world is not a closed system, so some changes are expected: gas
+// vents through edges and vent tiles, sources emit, burning tiles draw O2 out of the air
+// (`tile.oxygen` is not counted), and amounts below the passes' trace thresholds are dropped.
+// `audit` counts around one step of work and reports what changed, so a leak can be pinned on
+// `runReactionOnTile`, `environmentPass`, `diffuse` or any other pass.
+
+import { parseFormula, formulaOf } from './formula.js';
+
+const BAGS = ['species', 'solids', 'gas'];
+
+export function createAtomLedger(materialRegistry){
+  const elements = new Map();
+  let elementsFor = null;
+
+  // { element: count } per unit of `id`, or null when its formula does not parse.
+  function elementsOf(id){
+    if(elementsFor !== materialRegistry.materials){ elements.clear(); elementsFor = materialRegistry.materials; }
+    if(!elements.has(id)){
+      let parsed = null;
+      try { parsed = parseFormula(formulaOf(id, materialRegistry)).elements; }
+      catch (err) { parsed = null; }
+      elements.set(id, parsed);
+    }
+    return elements.get(id);
+  }
+
+  // Totals over the world (or any list of tiles): { atoms: { element: total }, unparsed: { id: total } }.
+  function count(worldOrTiles){
+    const atoms = {}, unparsed = {};
+    const visit = (tile) => {
+      for(const bag of BAGS){
+        for(const [id, qty] of Object.entries(tile[bag] || {})){
+          if(!(qty > 0)) continue;
+          const els = elementsOf(id);
+          if(!els){ unparsed[id] = (unparsed[id] || 0) + qty; continue; }
+          for(const [el, n] of Object.entries(els)) atoms[el] = (atoms[el] || 0) + n * qty;
+        }
+      }
+    };
+    if(Array.isArray(worldOrTiles)) worldOrTiles.forEach(visit);
+    else for(const row of worldOrTiles.grid) row.forEach(visit);
+    return { atoms, unparsed };
+  }
+
+  // Elements whose totals moved by more than `tolerance` (relative to the larger total).
+  function compare(before, after, tolerance = 1e-9){
+    const changes = [];
+    const a = before.atoms || before, b = after.atoms || after;
+    for(const el of new Set([...Object.keys(a), ...Object.keys(b)])){
+      const was = a[el] || 0, now = b[el] || 0;
+      if(Math.abs(now - was) > tolerance * Math.max(1, Math.abs(was), Math.abs(now))){
+        changes.push({ element: el, before: was, after: now, delta: now - was });
+      }
+    }
+    return changes;
+  }
+
+  // Runs `fn()` and reports which element totals it changed: { result, changes }.
+  function audit(world, fn, tolerance){
+    const before = count(world);
+    const result = fn();
+    return { result, changes: compare(before, count(world), tolerance) };
+  }
+
+  return { elementsOf, count, compare, audit };
+}
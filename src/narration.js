@@ -1,10 +1,15 @@
 // Plain-English descriptions for tiles and reactions in the chem sim.
 
+import { DEFAULT_TILE_VOLUME_L } from './units.js';
+import { splitPhase, formulaOf } from './formula.js';
+
+const GASSY_MOL_L = 1;    // total gas concentration read as "gassy"
+const GAS_TRACE_MOL_L = 0.1;
+
 // --- helper: compute short-term trend from history ---
 function lastN(history, n = 3) {
   if (!history || history.length < 2) return null;
-  const k = Math.min(n, history.length);
-  return history.slice(history.length - k);
+  return history.samples(0, n);
 }
 
 function trendOf(history, field = 'temp', { eps = 0.02 } = {}) {
@@ -52,8 +57,9 @@ function trendLabelGas(history) {
   return null;
 }
 
-export function createNarrator(materialRegistry, reactions){
-  const rxIndex = Object.fromEntries(reactions.map(r => [r.id, r]));
+export function createNarrator(materialRegistry, reactionRegistry){
+  // Looked up per call so packs loaded or unloaded at runtime are picked up.
+  const reactionFor = (id) => reactionRegistry.get(id);
 
   const tag = (rx, key) => (rx.tags || []).some(t => String(t).includes(key));
   const exoLevel = (rx) => (rx.tags || []).find(t => String(t).startsWith('exothermic')) || null;
@@ -61,7 +67,7 @@ export function createNarrator(materialRegistry, reactions){
   function niceName(id){
     const m = materialRegistry?.get(id);
     if(m?.displayName) return m.displayName;
-    return id.replace(/_g$|_l$|\(.*?\)|_/g, s => s === '_' ? ' ' : '').trim();
+    return splitPhase(id).formula.replace(/_/g, ' ').trim();
   }
 
   function hazardsFor(id){
@@ -80,14 +86,17 @@ export function createNarrator(materialRegistry, reactions){
     return m?.color || null;
   }
 
+  // The phase `rx` gives `id`, else the species' own; ids no pack defines throw.
+  function phaseIn(id, rx){
+    return rx?.phases?.[id] || materialRegistry.phaseOf(id);
+  }
+
   function isGasProduct(id, rx){
-    const ph = rx?.phases?.[id] || materialRegistry.get(id)?.phaseSTP;
-    return ph === 'g' || /(_g|\(g\))$/.test(id);
+    return phaseIn(id, rx) === 'g';
   }
 
   function isSolidProduct(id, rx){
-    const ph = rx?.phases?.[id] || materialRegistry.get(id)?.phaseSTP;
-    return ph === 's' || /\(s\)$/.test(id);
+    return phaseIn(id, rx) === 's';
   }
 
   function isBasicProduct(id){
@@ -102,7 +111,7 @@ export function createNarrator(materialRegistry, reactions){
     let best = null, bestScore = -Infinity;
     for(const entry of (tile._activity || [])){
       if(!entry || (entry.extent||0) <= 0) continue;
-      const rx = rxIndex[entry.id];
+      const rx = reactionFor(entry.id);
       if(!rx) continue;
       if (predicate && !predicate(entry, rx)) continue;
       const score = entry.extent || 0;
@@ -186,8 +195,12 @@ export function createNarrator(materialRegistry, reactions){
     return `pressure building because ${gasName} is accumulating`;
   }
 
-  function describeLimiter(limiter){
+  function describeLimiter(limiter, sharedWith){
     if(!limiter || limiter === 'rate') return 'rate-limited';
+    if(sharedWith?.length){
+      const rivals = sharedWith.map(id => reactionLabel(reactionFor(id))).join(' and ');
+      return `limited by ${niceName(limiter)}, which it is sharing with ${rivals}`;
+    }
     return `limited by ${niceName(limiter)}`;
   }
 
@@ -210,8 +223,7 @@ export function createNarrator(materialRegistry, reactions){
     let productGas = null;
     let productGasQty = 0;
     for(const p of (products||[])){
-      const ph = rx.phases?.[p.id] || materialRegistry.get(p.id)?.phaseSTP;
-      if(ph==='g' || /(_g|\(g\))$/.test(p.id)){
+      if(isGasProduct(p.id, rx)){
         const qty = p.qty || 0;
         if(!productGas || qty>productGasQty){
           productGas = p.id;
@@ -250,7 +262,7 @@ export function createNarrator(materialRegistry, reactions){
     const productions = new Map();
     for(const entry of (tile._activity||[])){
       if(!entry || (entry.extent||0)<=0) continue;
-      const rx = rxIndex[entry.id];
+      const rx = reactionFor(entry.id);
       if(!rx) continue;
       for(const prod of entry.products||[]){
         if(!prod || (prod.qty||0)<=0) continue;
@@ -275,7 +287,7 @@ export function createNarrator(materialRegistry, reactions){
 
   function actorPhrase(rx){
     const rcts = Object.keys(rx.stoich?.reactants || {});
-    const hasWater = rcts.some(id=>/^H2O(_g|\(g\))?$/.test(id) || id==='H2O' || id==='H2O(l)');
+    const hasWater = rcts.some(id=>splitPhase(formulaOf(id, materialRegistry)).formula==='H2O');
     const hasAcid = rcts.some(id=>{
       const m = materialRegistry.get(id);
       return m?.corrosivity==='acid' || (m?.hazardTags||[]).includes('acid');
@@ -297,7 +309,7 @@ export function createNarrator(materialRegistry, reactions){
   }
 
   function describeReactionEntry(entry){
-    const rx = rxIndex[entry.id];
+    const rx = reactionFor(entry.id);
     if(!rx) return null;
     const fx = rx.effects || {};
     const parts = [];
@@ -313,10 +325,7 @@ export function createNarrator(materialRegistry, reactions){
 
     const prods = describeProducts(entry.products, rx);
     if (prods && !gas) {
-      const solid = (entry.products || []).find(p=>{
-        const ph = rx.phases?.[p.id] || materialRegistry.get(p.id)?.phaseSTP;
-        return ph==='s' || /\(s\)$/.test(p.id);
-      });
+      const solid = (entry.products || []).find(p=>isSolidProduct(p.id, rx));
       if (solid) {
         const col = colorWord(solid.id);
         const label = niceName(solid.id);
@@ -326,10 +335,7 @@ export function createNarrator(materialRegistry, reactions){
         consequences.push(`forming ${prods}`);
       }
     } else if (prods && gas) {
-      const gasName = (entry.products || []).find(p=>{
-        const ph = rx.phases?.[p.id] || materialRegistry.get(p.id)?.phaseSTP;
-        return ph==='g' || /(_g|\(g\))$/.test(p.id);
-      });
+      const gasName = (entry.products || []).find(p=>isGasProduct(p.id, rx));
       if(gasName){
         const noun = niceName(gasName.id);
         const idx = consequences.indexOf('releasing gas');
@@ -337,13 +343,22 @@ export function createNarrator(materialRegistry, reactions){
       }
     }
 
-    const limiter = describeLimiter(entry.limiter);
+    const catalysts = (entry.catalysts || []).map(c => niceName(c.id));
+    if(catalysts.length) consequences.push(`catalyzed by ${catalysts.join(' and ')}`);
+
+    if (entry.equilibrium) {
+      const label = reactionLabel(rx);
+      return `${label} has reached equilibrium: forward and reverse reactions are balanced, so amounts hold steady.`;
+    }
+    if (entry.reversible && entry.direction === 'reverse') consequences.push('running in reverse');
+
+    const limiter = describeLimiter(entry.limiter, entry.sharedWith);
     const intensity = Math.round(Math.min(1, entry.extent || 0)*100);
     const consText = consequences.length ? `, ${consequences.join(' and ')}` : '';
     return `${parts[0]}${consText}. Intensity ${intensity}%, ${limiter}.`;
   }
 
-  function summarizeTile(tile){
+  function summarizeTile(tile, volume = DEFAULT_TILE_VOLUME_L){
     const bits=[];
     let tempWord='';
     if(tile.temp>=120) tempWord='very hot';
@@ -360,11 +375,12 @@ export function createNarrator(materialRegistry, reactions){
     else if(tile.pH>=12) bits.push('strongly basic');
     else bits.push('near neutral');
 
-    const gasLevel = Object.values(tile.gas || {}).reduce((a,v)=>a+(v || 0),0);
-    if(gasLevel>1) bits.push('gassy');
-    else if(gasLevel>0.1) bits.push('traces of gas');
+    const gasLevel = Object.values(tile.gas || {}).reduce((a,v)=>a+(v || 0),0) / volume;
+    if(gasLevel>GASSY_MOL_L) bits.push('gassy');
+    else if(gasLevel>GAS_TRACE_MOL_L) bits.push('traces of gas');
 
     if((tile.pressure || 0)>4) bits.push('pressurized');
+    if(tile.ignited) bits.push('on fire');
 
     const pTrend = trendLabelPressure(tile.history);
     const phTrend = trendLabelPH(tile.history);
@@ -402,12 +418,30 @@ export function createNarrator(materialRegistry, reactions){
       .slice(0,2)
       .map(([k])=>niceName(k));
     const speciesText = speciesPairs.length ? ` Notable species: ${speciesPairs.join(', ')}.` : '';
-    return `This tile is ${head}.${becauseText}${speciesText}`;
+    const subject = tile.count > 1 ? `This region (${tile.count} tiles)` : 'This tile'; // region aggregates carry a tile count
+    return `${subject} is ${head}.${becauseText}${speciesText}`;
+  }
+
+  const TRANSITION_WORDS = {
+    melted: ['is melting', 'has melted'],
+    froze: ['is freezing', 'has frozen solid'],
+    boiled: ['is boiling', 'has boiled off'],
+    condensed: ['is condensing', 'has condensed'],
+    dissolved: ['is dissolving', 'has dissolved'],
+    precipitated: ['is precipitating', 'has precipitated']
+  };
+
+  function describeTransitions(tile){
+    return (tile._transitions || [])
+      .filter(t => TRANSITION_WORDS[t.kind])
+      .sort((a, b) => b.amount - a.amount)
+      .slice(0, 2)
+      .map(t => `${niceName(t.id)} ${TRANSITION_WORDS[t.kind][t.complete ? 1 : 0]}.`);
   }
 
-  function narrateTile(tile){
+  function narrateTile(tile, volume = DEFAULT_TILE_VOLUME_L){
     const lines=[];
-    lines.push(summarizeTile(tile));
+    lines.push(summarizeTile(tile, volume));
     const acts=(tile._activity||[])
       .filter(Boolean)
       .sort((a,b)=>(b.extent||0)-(a.extent||0))
@@ -417,14 +451,17 @@ export function createNarrator(materialRegistry, reactions){
       const d = describeReactionEntry(a);
       if(d) lines.push(d);
     }
+    const transitionLines = describeTransitions(tile);
+    lines.push(...transitionLines);
     const productionLines = buildProductionInsights(tile);
     lines.push(...productionLines);
-    if(acts.length===0 && productionLines.length===0) lines.push('No active reactions detected.');
+    if(acts.length===0 && productionLines.length===0 && transitionLines.length===0) lines.push('No active reactions detected.');
     return lines;
   }
 
   return {
     narrateTile,
-    describeReactionEntry
+    describeReactionEntry,
+    describeTransitions
   };
 }
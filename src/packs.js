@@ -0,0 +1,441 @@
+// Reaction/material pack loading: validate, merge and unload packs at runtime.
+//
+// A pack is `{ id, name?, materials?, reactions? }` where `materials` is either a plain
+// id -> entry map or the `{ meta, materials }` shape of the core pack. Later packs override
+// earlier materials with the same id; reaction ids must be unique across all loaded packs.
+// Packs may name species by any declared alias; once loaded, reactions and form references use
+// canonical ids only (see species.js).
+
+import { createMaterialRegistry } from './registry.js';
+import { createSpeciesIndex, PHASES } from './species.js';
+import { parseFormula, materialMolarMass, formulaOf, countAtoms } from './formula.js';
+
+const NUMERIC_MATERIAL_FIELDS = ['density_g_cm3', 'melting_C', 'boiling_C', 'ignition_C', 'heatCombust_kJ_per_mol', 'heatCapacity_J_molK', 'thermalConductivity_W_mK', 'diffusivity', 'heatFusion_kJ_per_mol', 'heatVaporization_kJ_per_mol', 'molarMass_g_mol'];
+const NON_NEGATIVE_MATERIAL_FIELDS = ['density_g_cm3', 'heatCapacity_J_molK', 'thermalConductivity_W_mK', 'diffusivity', 'heatFusion_kJ_per_mol', 'heatVaporization_kJ_per_mol', 'molarMass_g_mol'];
+const FORM_FIELDS = ['vaporForm', 'condensedForm'];
+
+export class PackValidationError extends Error {
+  constructor(packId, errors){
+    super(`Pack "${packId}" failed validation:\n` + errors.map(e => `  ${e.path}: ${e.message}`).join('\n'));
+    this.name = 'PackValidationError';
+    this.packId = packId;
+    this.errors = errors;
+  }
+}
+
+function materialsOf(pack){
+  const mats = pack?.materials;
+  if(!mats) return {};
+  return mats.materials && typeof mats.materials === 'object' ? mats.materials : mats;
+}
+
+function isPlainObject(value){
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isNumber(value){
+  return typeof value === 'number' && isFinite(value);
+}
+
+function validateMaterials(pack, errors){
+  const raw = pack.materials;
+  if(raw === undefined) return;
+  if(!isPlainObject(raw)){ errors.push({ path: 'materials', message: 'must be an object' }); return; }
+  for(const [id, mat] of Object.entries(materialsOf(pack))){
+    const path = `materials.${id}`;
+    if(!isPlainObject(mat)){ errors.push({ path, message: 'must be an object' }); continue; }
+    if(mat.phaseSTP === undefined) errors.push({ path: `${path}.phaseSTP`, message: `is required (one of ${PHASES.join(', ')})` });
+    else if(!PHASES.includes(mat.phaseSTP)){
+      errors.push({ path: `${path}.phaseSTP`, message: `"${mat.phaseSTP}" is not one of ${PHASES.join(', ')}` });
+    }
+    if(mat.aliases !== undefined && (!Array.isArray(mat.aliases) || mat.aliases.some(a => typeof a !== 'string' || !a))){
+      errors.push({ path: `${path}.aliases`, message: 'must be an array of species ids' });
+    }
+    if(mat.displayName !== undefined && typeof mat.displayName !== 'string'){
+      errors.push({ path: `${path}.displayName`, message: 'must be a string' });
+    }
+    if(mat.formula !== undefined){
+      try { parseFormula(mat.formula); }
+      catch (err) { errors.push({ path: `${path}.formula`, message: err.message }); }
+    }
+    for(const key of NUMERIC_MATERIAL_FIELDS){
+      if(mat[key] === undefined) continue;
+      if(!isNumber(mat[key])) errors.push({ path: `${path}.${key}`, message: 'must be a number' });
+      else if(NON_NEGATIVE_MATERIAL_FIELDS.includes(key) && mat[key] < 0) errors.push({ path: `${path}.${key}`, message: 'must not be negative' });
+    }
+    for(const key of FORM_FIELDS){
+      if(mat[key] !== undefined && typeof mat[key] !== 'string') errors.push({ path: `${path}.${key}`, message: 'must be a species id' });
+    }
+    if(mat.catalyst !== undefined) validateCatalyst(mat.catalyst, `${path}.catalyst`, errors);
+    if(mat.acidBase !== undefined) validateAcidBase(mat.acidBase, `${path}.acidBase`, errors);
+    if(mat.solubility !== undefined) validateSolubility(id, mat, `${path}.solubility`, errors);
+  }
+}
+
+function validateAcidBase(ab, path, errors){
+  if(!isPlainObject(ab)){ errors.push({ path, message: 'must be an object' }); return; }
+  if(ab.pKa !== undefined && (!Array.isArray(ab.pKa) || !ab.pKa.length || ab.pKa.some(k => !isNumber(k)))){
+    errors.push({ path: `${path}.pKa`, message: 'must be a non-empty array of numbers' });
+  }
+  if(ab.charge !== undefined && !isNumber(ab.charge)) errors.push({ path: `${path}.charge`, message: 'must be a number' });
+  if(ab.cations !== undefined && (!isNumber(ab.cations) || ab.cations < 0)) errors.push({ path: `${path}.cations`, message: 'must be a non-negative number' });
+}
+
+function validateSolubility(id, mat, path, errors){
+  const sol = mat.solubility;
+  if(!isPlainObject(sol)){ errors.push({ path, message: 'must be an object' }); return; }
+  if((sol.g_L === undefined) === (sol.Ksp === undefined)){
+    errors.push({ path, message: 'declare either g_L or Ksp' });
+  }
+  if(sol.g_L !== undefined){
+    if(!isNumber(sol.g_L) || sol.g_L < 0) errors.push({ path: `${path}.g_L`, message: 'must be a non-negative number' });
+    if(!materialMolarMass(id, mat)) errors.push({ path: `${path}.g_L`, message: 'needs a molar mass: a parseable id or formula, or molarMass_g_mol' });
+  }
+  if(sol.Ksp !== undefined){
+    if(!isNumber(sol.Ksp) || sol.Ksp <= 0) errors.push({ path: `${path}.Ksp`, message: 'must be a positive number' });
+    if(!Array.isArray(sol.ions) || !sol.ions.length || sol.ions.some(n => !Number.isInteger(n) || n < 1)){
+      errors.push({ path: `${path}.ions`, message: 'must list positive whole ion counts per formula unit' });
+    }
+  }
+  for(const key of ['deltaH_kJ_per_mol', 'refTemp_C']){
+    if(sol[key] !== undefined && !isNumber(sol[key])) errors.push({ path: `${path}.${key}`, message: 'must be a number' });
+  }
+}
+
+function validateCatalyst(cat, path, errors){
+  if(!isPlainObject(cat)){ errors.push({ path, message: 'must be an object' }); return; }
+  if(cat.tags !== undefined && (!Array.isArray(cat.tags) || cat.tags.some(t => typeof t !== 'string'))){
+    errors.push({ path: `${path}.tags`, message: 'must be an array of strings' });
+  }
+  for(const key of ['multiplier', 'saturation']){
+    if(cat[key] !== undefined && (!isNumber(cat[key]) || cat[key] <= 0)) errors.push({ path: `${path}.${key}`, message: 'must be a positive number' });
+  }
+  if(cat.deactivationPerUnit !== undefined && (!isNumber(cat.deactivationPerUnit) || cat.deactivationPerUnit < 0)){
+    errors.push({ path: `${path}.deactivationPerUnit`, message: 'must be a non-negative number' });
+  }
+  if(cat.poisons !== undefined && !isPlainObject(cat.poisons)) errors.push({ path: `${path}.poisons`, message: 'must be an object' });
+}
+
+function validateCoefficients(map, path, errors){
+  if(!isPlainObject(map) || !Object.keys(map).length){
+    errors.push({ path, message: 'must list at least one species' });
+    return {};
+  }
+  for(const [sp, n] of Object.entries(map)){
+    if(!isNumber(n) || n <= 0) errors.push({ path: `${path}.${sp}`, message: `coefficient must be a positive number, got ${JSON.stringify(n)}` });
+  }
+  return map;
+}
+
+function validatePressurePulse(pulse, path, errors){
+  if(!isPlainObject(pulse)){ errors.push({ path, message: 'must be an object with size, cooldownMs and cap' }); return; }
+  if(!isNumber(pulse.size) || pulse.size <= 0) errors.push({ path: `${path}.size`, message: 'must be a positive number' });
+  if(!isNumber(pulse.cooldownMs) || pulse.cooldownMs < 0) errors.push({ path: `${path}.cooldownMs`, message: 'must be a non-negative number' });
+  if(!isNumber(pulse.cap) || pulse.cap <= 0) errors.push({ path: `${path}.cap`, message: 'must be a positive number' });
+  else if(isNumber(pulse.size) && pulse.cap < pulse.size) errors.push({ path: `${path}.cap`, message: `is smaller than size (${pulse.size})` });
+}
+
+function validateReaction(rx, path, ctx, errors){
+  if(!isPlainObject(rx)){ errors.push({ path, message: 'must be an object' }); return; }
+  if(typeof rx.id !== 'string' || !rx.id){ errors.push({ path: `${path}.id`, message: 'must be a non-empty string' }); }
+  else {
+    if(ctx.seenIds.has(rx.id)) errors.push({ path: `${path}.id`, message: `duplicate reaction id "${rx.id}" (also in ${ctx.seenIds.get(rx.id)})` });
+    else ctx.seenIds.set(rx.id, ctx.packId);
+  }
+  const known = (sp, where) => {
+    if(!ctx.materials.has(sp)) errors.push({ path: where, message: `unknown species "${sp}" (not in MaterialRegistry)` });
+  };
+  const once = (map, where) => {
+    const seen = new Map();
+    for(const sp of Object.keys(map)){
+      const id = ctx.materials.species.tryCanonical(sp);
+      if(id === null) continue;
+      if(seen.has(id)) errors.push({ path: `${where}.${sp}`, message: `names the same species as "${seen.get(id)}" (${id})` });
+      else seen.set(id, sp);
+    }
+  };
+  const reactants = validateCoefficients(rx.stoich?.reactants, `${path}.stoich.reactants`, errors);
+  const products = validateCoefficients(rx.stoich?.products, `${path}.stoich.products`, errors);
+  for(const sp of Object.keys(reactants)) known(sp, `${path}.stoich.reactants.${sp}`);
+  for(const sp of Object.keys(products)) known(sp, `${path}.stoich.products.${sp}`);
+  once(reactants, `${path}.stoich.reactants`);
+  once(products, `${path}.stoich.products`);
+  const sameId = (sp) => ctx.materials.species.tryCanonical(sp) ?? sp;
+  const within = (sp, side) => Object.keys(side).some(other => sameId(other) === sameId(sp));
+
+  const phases = rx.phases;
+  if(!isPlainObject(phases)){
+    errors.push({ path: `${path}.phases`, message: 'must be an object mapping species to a phase' });
+  } else {
+    for(const sp of Object.keys(products)){
+      if(phases[sp] === undefined) errors.push({ path: `${path}.phases`, message: `missing entry for product "${sp}"` });
+    }
+    for(const [sp, ph] of Object.entries(phases)){
+      known(sp, `${path}.phases.${sp}`);
+      if(!PHASES.includes(ph)) errors.push({ path: `${path}.phases.${sp}`, message: `"${ph}" is not one of ${PHASES.join(', ')}` });
+    }
+  }
+
+  const rates = rx.rates || {};
+  if(rates.base !== undefined && (!isNumber(rates.base) || rates.base < 0)){
+    errors.push({ path: `${path}.rates.base`, message: 'must be a non-negative number' });
+  }
+  if(rates.priority !== undefined && !isNumber(rates.priority)) errors.push({ path: `${path}.rates.priority`, message: 'must be a number' });
+  for(const key of ['A', 'Ea_kJ_per_mol']){
+    if(rates[key] !== undefined && (!isNumber(rates[key]) || rates[key] < 0)) errors.push({ path: `${path}.rates.${key}`, message: 'must be a non-negative number' });
+  }
+  if(rates.electrons !== undefined && (!isNumber(rates.electrons) || rates.electrons <= 0)){
+    errors.push({ path: `${path}.rates.electrons`, message: 'must be a positive number' });
+  }
+  if(rates.requires?.power !== undefined && (!isNumber(rates.requires.power) || rates.requires.power < 0)){
+    errors.push({ path: `${path}.rates.requires.power`, message: 'must be a non-negative number' });
+  }
+  if(rates.refTemp_C !== undefined && !isNumber(rates.refTemp_C)) errors.push({ path: `${path}.rates.refTemp_C`, message: 'must be a number' });
+  if(rates.orders !== undefined){
+    if(!isPlainObject(rates.orders)) errors.push({ path: `${path}.rates.orders`, message: 'must map reactants to reaction orders' });
+    else for(const [sp, order] of Object.entries(rates.orders)){
+      if(!within(sp, reactants)) errors.push({ path: `${path}.rates.orders.${sp}`, message: `"${sp}" is not a reactant` });
+      if(!isNumber(order) || order < 0) errors.push({ path: `${path}.rates.orders.${sp}`, message: 'must be a non-negative number' });
+    }
+  }
+  if(rates.reverse !== undefined && rates.K_eq !== undefined){
+    errors.push({ path: `${path}.rates`, message: 'declare either reverse or K_eq, not both' });
+  }
+  if(rates.reverse !== undefined){
+    if(!isPlainObject(rates.reverse)) errors.push({ path: `${path}.rates.reverse`, message: 'must be a rate block' });
+    else {
+      for(const key of ['base', 'A', 'Ea_kJ_per_mol']){
+        const v = rates.reverse[key];
+        if(v !== undefined && (!isNumber(v) || v < 0)) errors.push({ path: `${path}.rates.reverse.${key}`, message: 'must be a non-negative number' });
+      }
+      for(const sp of Object.keys(rates.reverse.orders || {})){
+        if(!within(sp, products)) errors.push({ path: `${path}.rates.reverse.orders.${sp}`, message: `"${sp}" is not a product` });
+      }
+    }
+  }
+  if(rates.K_eq !== undefined && (!isNumber(rates.K_eq) || rates.K_eq <= 0)){
+    errors.push({ path: `${path}.rates.K_eq`, message: 'must be a positive number' });
+  }
+  if(rates.deltaH_kJ_per_mol !== undefined){
+    if(!isNumber(rates.deltaH_kJ_per_mol)) errors.push({ path: `${path}.rates.deltaH_kJ_per_mol`, message: 'must be a number' });
+    else if(rates.K_eq === undefined) errors.push({ path: `${path}.rates.deltaH_kJ_per_mol`, message: 'only applies together with K_eq' });
+  }
+  if(rates.surfaceRole !== undefined && !within(rates.surfaceRole, reactants)){
+    errors.push({ path: `${path}.rates.surfaceRole`, message: `"${rates.surfaceRole}" is not a reactant` });
+  }
+  if(rates.requiresTag !== undefined && !ctx.catalystTags.has(rates.requiresTag)){
+    errors.push({ path: `${path}.rates.requiresTag`, message: `no material provides catalyst tag "${rates.requiresTag}"` });
+  }
+  if(rates.catalysts !== undefined){
+    if(!isPlainObject(rates.catalysts)) errors.push({ path: `${path}.rates.catalysts`, message: 'must map catalyst ids to rate multipliers' });
+    else for(const [id, mult] of Object.entries(rates.catalysts)){
+      const where = `${path}.rates.catalysts.${id}`;
+      if(!ctx.materials.has(id)) errors.push({ path: where, message: `unknown species "${id}" (not in MaterialRegistry)` });
+      else if(!ctx.materials.get(id).catalyst) errors.push({ path: where, message: `"${id}" has no catalyst block` });
+      if(!isNumber(mult) || mult <= 0) errors.push({ path: where, message: 'multiplier must be a positive number' });
+    }
+  }
+
+  const fx = rx.effects || {};
+  if(fx.pressurePulse !== undefined) validatePressurePulse(fx.pressurePulse, `${path}.effects.pressurePulse`, errors);
+  for(const key of ['emitGas', 'precipitate']){
+    if(fx[key] === undefined) continue;
+    if(!isPlainObject(fx[key])){ errors.push({ path: `${path}.effects.${key}`, message: 'must be an object' }); continue; }
+    for(const [sp, m] of Object.entries(fx[key])){
+      known(sp, `${path}.effects.${key}.${sp}`);
+      if(!isNumber(m) || m < 0) errors.push({ path: `${path}.effects.${key}.${sp}`, message: 'must be a non-negative number' });
+    }
+  }
+}
+
+// Validates `pack` as if it were loaded on top of `basePacks`. Returns a list of `{ path, message }`.
+export function validatePack(pack, basePacks = []){
+  const errors = [];
+  if(!isPlainObject(pack)) return [{ path: '', message: 'pack must be an object' }];
+  if(typeof pack.id !== 'string' || !pack.id) errors.push({ path: 'id', message: 'must be a non-empty string' });
+  validateMaterials(pack, errors);
+  if(pack.reactions !== undefined && !Array.isArray(pack.reactions)){
+    errors.push({ path: 'reactions', message: 'must be an array' });
+    return errors;
+  }
+  const materials = createMaterialRegistry(Object.assign({}, ...basePacks.map(materialsOf), materialsOf(pack)));
+  const own = materialsOf(pack);
+  for(const { id, alias, owner } of materials.species.conflicts){
+    if(!(id in own) && !(owner in own)) continue;
+    errors.push({ path: `materials.${id}.aliases`, message: alias === owner ? `"${alias}" is already a material id` : `"${alias}" is already an alias of "${owner}"` });
+  }
+  for(const [id, mat] of Object.entries(own)){
+    for(const key of FORM_FIELDS){
+      if(typeof mat?.[key] === 'string' && !materials.has(mat[key])) errors.push({ path: `materials.${id}.${key}`, message: `unknown species "${mat[key]}"` });
+    }
+  }
+  const seenIds = new Map();
+  for(const base of basePacks) for(const rx of base.reactions || []) seenIds.set(rx.id, `pack "${base.id}"`);
+  const catalystTags = new Set(Object.values(materials.materials).flatMap(m => m?.catalyst?.tags || []));
+  const ctx = { materials, seenIds, catalystTags, packId: 'this pack' };
+  (pack.reactions || []).forEach((rx, i) => validateReaction(rx, `reactions[${i}]${rx?.id ? ` (${rx.id})` : ''}`, ctx, errors));
+  return errors;
+}
+
+// Chemistry checks that do not stop a pack from loading: species whose formula does not parse,
+// reactions whose stoich loses or creates atoms (or charge), and `emitGas` / `precipitate` entries
+// naming something that is not a product. Returns a list of `{ path, message }`.
+export function auditPack(pack, basePacks = []){
+  const warnings = [];
+  if(!isPlainObject(pack) || !Array.isArray(pack.reactions)) return warnings;
+  const materials = createMaterialRegistry(Object.assign({}, ...basePacks.map(materialsOf), materialsOf(pack)));
+  const idOf = (sp) => materials.species.tryCanonical(sp) ?? sp;
+  const parsed = new Map();
+  const parse = (sp) => {
+    if(!parsed.has(sp)){
+      try { parsed.set(sp, parseFormula(formulaOf(sp, materials))); }
+      catch (err) { parsed.set(sp, err); }
+    }
+    return parsed.get(sp);
+  };
+  pack.reactions.forEach((rx, i) => {
+    const path = `reactions[${i}]${rx?.id ? ` (${rx.id})` : ''}`;
+    const reactants = rx?.stoich?.reactants || {}, products = rx?.stoich?.products || {};
+    let parseable = true;
+    for(const sp of new Set([...Object.keys(reactants), ...Object.keys(products)])){
+      const p = parse(sp);
+      if(p instanceof Error){ warnings.push({ path: `${path}.stoich.${sp}`, message: `${p.message}; atom balance not checked` }); parseable = false; }
+    }
+    if(parseable){
+      const lhs = countAtoms(reactants, sp => parse(sp).elements), rhs = countAtoms(products, sp => parse(sp).elements);
+      const off = [];
+      for(const el of new Set([...Object.keys(lhs), ...Object.keys(rhs)])){
+        const d = (rhs[el] || 0) - (lhs[el] || 0);
+        if(Math.abs(d) > 1e-9) off.push(`${el} ${d > 0 ? '+' : ''}${d}`);
+      }
+      const charge = (side) => Object.entries(side).reduce((q, [sp, n]) => q + n * parse(sp).charge, 0);
+      const dq = charge(products) - charge(reactants);
+      if(Math.abs(dq) > 1e-9) off.push(`charge ${dq > 0 ? '+' : ''}${dq}`);
+      if(off.length) warnings.push({ path: `${path}.stoich`, message: `unbalanced: products have ${off.join(', ')} compared with reactants` });
+    }
+    const productIds = new Set(Object.keys(products).map(idOf));
+    for(const key of ['emitGas', 'precipitate']){
+      for(const sp of Object.keys(rx?.effects?.[key] || {})){
+        if(!productIds.has(idOf(sp))) warnings.push({ path: `${path}.effects.${key}.${sp}`, message: 'is not a product; the effect adds it on top of the stoich, which then does not balance' });
+      }
+    }
+  });
+  return warnings;
+}
+
+// Copies of materials and reactions with every alias replaced by its canonical id; anything that
+// already uses canonical ids is returned as it is.
+function rekey(map, species){
+  return map && Object.fromEntries(Object.entries(map).map(([sp, v]) => [species.tryCanonical(sp) ?? sp, v]));
+}
+
+function canonicalMaterial(mat, species){
+  const renamed = FORM_FIELDS.filter(key => typeof mat?.[key] === 'string' && species.tryCanonical(mat[key]) !== mat[key]);
+  if(!renamed.length) return mat;
+  const copy = { ...mat };
+  for(const key of renamed) copy[key] = species.tryCanonical(mat[key]) ?? mat[key];
+  return copy;
+}
+
+function speciesNamedBy(rx){
+  const rates = rx.rates || {}, fx = rx.effects || {};
+  return [rx.stoich.reactants, rx.stoich.products, rx.phases, rates.orders, rates.catalysts, rates.reverse?.orders, fx.emitGas, fx.precipitate]
+    .flatMap(map => Object.keys(map || {}))
+    .concat(rates.surfaceRole !== undefined ? [rates.surfaceRole] : []);
+}
+
+function canonicalReaction(rx, species){
+  if(speciesNamedBy(rx).every(sp => species.tryCanonical(sp) === sp)) return rx;
+  const copy = { ...rx, stoich: { reactants: rekey(rx.stoich.reactants, species), products: rekey(rx.stoich.products, species) }, phases: rekey(rx.phases, species) };
+  if(rx.rates){
+    const rates = copy.rates = { ...rx.rates };
+    for(const key of ['orders', 'catalysts']) if(rates[key] !== undefined) rates[key] = rekey(rates[key], species);
+    if(rates.reverse?.orders !== undefined) rates.reverse = { ...rates.reverse, orders: rekey(rates.reverse.orders, species) };
+    if(rates.surfaceRole !== undefined) rates.surfaceRole = species.tryCanonical(rates.surfaceRole) ?? rates.surfaceRole;
+  }
+  if(rx.effects){
+    const effects = copy.effects = { ...rx.effects };
+    for(const key of ['emitGas', 'precipitate']) if(effects[key] !== undefined) effects[key] = rekey(effects[key], species);
+  }
+  return copy;
+}
+
+// Where `world` still holds species that `materials` no longer defines, as validation errors.
+function strandedSpecies(world, materials){
+  const species = createSpeciesIndex(materials);
+  const errors = [];
+  for(let y=0;y<world.h;y++) for(let x=0;x<world.w;x++){
+    const t = world.grid[y][x];
+    for(const bag of ['species', 'solids', 'gas']){
+      for(const [sp, qty] of Object.entries(t[bag] || {})){
+        if(qty > 0 && !species.has(sp)) errors.push({ path: `world(${x},${y}).${bag}.${sp}`, message: `tile still holds "${sp}"` });
+      }
+    }
+    if(t.source?.id && !species.has(t.source.id)) errors.push({ path: `world(${x},${y}).source`, message: `tile still emits "${t.source.id}"` });
+  }
+  return errors;
+}
+
+// `onWarning(packId, warnings)` hears about anything `auditPack` flags when a pack loads.
+export function createPackManager({ materialRegistry, reactionRegistry, onWarning = null }){
+  const packs = [];
+  const warnings = new Map();
+
+  function rebuild(){
+    const meta = packs.map(p => p.materials?.meta).filter(Boolean).pop() || null;
+    const materials = Object.assign({}, ...packs.map(materialsOf));
+    const species = createSpeciesIndex(materials);
+    for(const [id, mat] of Object.entries(materials)) materials[id] = canonicalMaterial(mat, species);
+    materialRegistry.replace(materials, meta);
+    reactionRegistry.replace(packs.flatMap(p => (p.reactions || []).map(rx => canonicalReaction(rx, species))));
+  }
+
+  function load(pack){
+    const others = packs.filter(p => p.id !== pack?.id);
+    const errors = validatePack(pack, others);
+    if(errors.length) throw new PackValidationError(pack?.id ?? '(unnamed)', errors);
+    const existing = packs.findIndex(p => p.id === pack.id);
+    if(existing >= 0) packs.splice(existing, 1, pack); else packs.push(pack);
+    rebuild();
+    const found = auditPack(pack, others);
+    warnings.set(pack.id, found);
+    if(found.length) onWarning?.(pack.id, found);
+    return pack.id;
+  }
+
+  // Refuses to unload a pack other loaded packs still depend on (e.g. for their materials), or,
+  // given a `world`, one whose species its tiles still hold or emit; nothing is purged, so clear
+  // those tiles first.
+  function unload(id, { world = null } = {}){
+    const idx = packs.findIndex(p => p.id === id);
+    if(idx < 0) return false;
+    const remaining = packs.filter((_, i) => i !== idx);
+    remaining.forEach((pack, i) => {
+      const errors = validatePack(pack, remaining.slice(0, i).concat(remaining.slice(i + 1)));
+      if(errors.length) throw new PackValidationError(pack.id, errors.map(e => ({ ...e, message: `${e.message} once "${id}" is unloaded` })));
+    });
+    if(world){
+      const stranded = strandedSpecies(world, Object.assign({}, ...remaining.map(materialsOf)));
+      if(stranded.length) throw new PackValidationError(id, stranded.map(e => ({ ...e, message: `${e.message}, which only this pack defines` })));
+    }
+    packs.splice(idx, 1);
+    warnings.delete(id);
+    rebuild();
+    return true;
+  }
+
+  async function loadFromUrl(url){
+    const res = await fetch(url);
+    if(!res.ok) throw new Error(`Could not fetch pack ${url}: ${res.status} ${res.statusText}`);
+    return load(await res.json());
+  }
+
+  return {
+    load,
+    unload,
+    loadFromUrl,
+    validate: (pack) => validatePack(pack, packs.filter(p => p.id !== pack?.id)),
+    warnings: (id) => warnings.get(id) || [],
+    list: () => packs.map(p => ({ id: p.id, name: p.name || p.id, reactions: (p.reactions || []).length, materials: Object.keys(materialsOf(p)).length, warnings: (warnings.get(p.id) || []).length }))
+  };
+}
@@ -0,0 +1,530 @@
+// Core material pack: approximate, game-balanced properties for every core species.
+
+export const Materials = {
+  "meta": {
+    "version": "1.0",
+    "notes": "Approximate, game-balanced material properties aligned to CavesOfOoo_ChemReactions.json. Units are indicative, feel free to retune for balance.",
+    "units": {
+      "density_g_cm3": "g/cm^3",
+      "melting_C": "°C",
+      "boiling_C": "°C",
+      "heatFusion_kJ_per_mol": "kJ/mol",
+      "heatVaporization_kJ_per_mol": "kJ/mol",
+      "ignition_C": "°C",
+      "heatCombust_kJ_per_mol": "kJ/mol",
+      "heatCapacity_J_molK": "J/(mol·K)",
+      "thermalConductivity_W_mK": "W/(m·K)",
+      "molarMass_g_mol": "g/mol; only needed when the id (or `formula`) does not parse",
+      "solubility": "saturation in water at 20°C: g_L (g per litre) or Ksp with ion counts per formula unit; deltaH_kJ_per_mol heat of solution",
+      "acidBase": "pKa list of the fully protonated form, its charge, and strong counter-ion (cation) equivalents",
+      "diffusivity": "fraction of a neighbour difference exchanged per tick (0–0.24)",
+      "electricalConductivity": "qualitative: insulator|poor|semi|good|excellent",
+      "vaporPressure_kPa_25C": "kPa at 25°C",
+      "aliases": "other ids the material is known by; the key is its canonical id"
+    },
+    "gameplayFields": [
+      "flammability",
+      "toxicity",
+      "corrosivity",
+      "hygroscopic",
+      "statusHooks",
+      "defaultSurfaceFactor"
+    ]
+  },
+  "materials": {
+    "H2O": {
+      "displayName": "Water",
+      "aliases": ["H2O(l)"],
+      "phaseSTP": "l",
+      "color": "clear",
+      "density_g_cm3": 1.0,
+      "heatCapacity_J_molK": 75.3,
+      "melting_C": 0,
+      "boiling_C": 100,
+      "heatFusion_kJ_per_mol": 6.01,
+      "heatVaporization_kJ_per_mol": 40.7,
+      "vaporForm": "H2O_g",
+      "flammability": "none",
+      "electricalConductivity": "poor",
+      "thermalConductivity_W_mK": 0.6,
+      "toxicity": "none",
+      "corrosivity": "neutral",
+      "hazardTags": ["diluent", "wet"],
+      "statusHooks": { "wetnessMod": 1.0, "shockMod": 1.5, "extinguishPower": 0.6 },
+      "defaultSurfaceFactor": 0.7
+    },
+    "H2O_g": {
+      "displayName": "Steam",
+      "aliases": ["H2O(g)"],
+      "phaseSTP": "g",
+      "color": "white",
+      "density_g_cm3": 0.0006,
+      "condensedForm": "H2O",
+      "heatCapacity_J_molK": 33.6,
+      "thermalConductivity_W_mK": 0.025,
+      "flammability": "none",
+      "toxicity": "none",
+      "hazardTags": ["scalding"],
+      "statusHooks": { "extinguishPower": 0.3 },
+      "defaultSurfaceFactor": 1.0
+    },
+    "H2O2": {
+      "displayName": "Hydrogen Peroxide (aq)",
+      "phaseSTP": "aq",
+      "color": "clear",
+      "density_g_cm3": 1.11,
+      "heatCapacity_J_molK": 89.1,
+      "thermalConductivity_W_mK": 0.5,
+      "flammability": "none",
+      "toxicity": "mod",
+      "corrosivity": "oxidizer",
+      "acidBase": { "pKa": [11.6] },
+      "hazardTags": ["oxidizer", "irritant"],
+      "defaultSurfaceFactor": 0.8
+    },
+    "HCl": {
+      "displayName": "Hydrochloric Acid (aq)",
+      "phaseSTP": "aq",
+      "color": "clear",
+      "density_g_cm3": 1.05,
+      "heatCapacity_J_molK": 80,
+      "thermalConductivity_W_mK": 0.55,
+      "diffusivity": 0.08,
+      "flammability": "none",
+      "electricalConductivity": "good",
+      "toxicity": "mod",
+      "corrosivity": "acid",
+      "acidBase": { "pKa": [-6] },
+      "hazardTags": ["acid", "caustic"],
+      "statusHooks": { "causticPower": 0.8 },
+      "defaultSurfaceFactor": 0.8
+    },
+    "NaOH": {
+      "displayName": "Sodium Hydroxide (aq)",
+      "phaseSTP": "aq",
+      "color": "clear",
+      "density_g_cm3": 1.1,
+      "heatCapacity_J_molK": 80,
+      "thermalConductivity_W_mK": 0.6,
+      "diffusivity": 0.08,
+      "flammability": "none",
+      "electricalConductivity": "good",
+      "toxicity": "mod",
+      "corrosivity": "base",
+      "acidBase": { "cations": 1 },
+      "solubility": { "g_L": 1090, "deltaH_kJ_per_mol": 10 },
+      "hazardTags": ["base", "caustic"],
+      "statusHooks": { "causticPower": 0.9 },
+      "defaultSurfaceFactor": 0.8
+    },
+    "Na2CO3": {
+      "displayName": "Sodium Carbonate",
+      "phaseSTP": "s",
+      "color": "white",
+      "density_g_cm3": 2.5,
+      "heatCapacity_J_molK": 112,
+      "melting_C": 851,
+      "flammability": "none",
+      "toxicity": "low",
+      "corrosivity": "mild_base",
+      "acidBase": { "pKa": [6.35, 10.33], "cations": 2 },
+      "solubility": { "g_L": 215, "deltaH_kJ_per_mol": 30 },
+      "hazardTags": ["alkali", "buffer"],
+      "statusHooks": { "causticPower": 0.2 },
+      "defaultSurfaceFactor": 0.5
+    },
+    "NaHCO3": {
+      "displayName": "Sodium Bicarbonate",
+      "phaseSTP": "s",
+      "color": "white",
+      "density_g_cm3": 2.2,
+      "heatCapacity_J_molK": 87.6,
+      "flammability": "none",
+      "toxicity": "low",
+      "corrosivity": "mild_base",
+      "acidBase": { "pKa": [6.35, 10.33], "cations": 1 },
+      "solubility": { "g_L": 96, "deltaH_kJ_per_mol": 18 },
+      "hazardTags": ["buffer", "gas_evolution_with_acid"],
+      "statusHooks": { "neutralizeAcid": 0.7 },
+      "defaultSurfaceFactor": 0.6
+    },
+    "NH3": {
+      "displayName": "Ammonia (aq)",
+      "phaseSTP": "aq",
+      "color": "clear",
+      "density_g_cm3": 0.9,
+      "flammability": "low",
+      "ignition_C": 651,
+      "heatCombust_kJ_per_mol": 317,
+      "toxicity": "mod",
+      "corrosivity": "base",
+      "acidBase": { "pKa": [9.25], "charge": 1 },
+      "hazardTags": ["pungent", "irritant"],
+      "statusHooks": { "causticPower": 0.4, "stunChance": 0.05 },
+      "defaultSurfaceFactor": 0.8
+    },
+    "Na": {
+      "displayName": "Sodium",
+      "phaseSTP": "s",
+      "color": "silvery",
+      "density_g_cm3": 0.97,
+      "heatCapacity_J_molK": 28.2,
+      "thermalConductivity_W_mK": 142,
+      "electricalConductivity": "good",
+      "melting_C": 98,
+      "heatFusion_kJ_per_mol": 2.6,
+      "flammability": "reactive",
+      "toxicity": "low",
+      "hazardTags": ["water_reactive"],
+      "statusHooks": { "spark": 0.4 },
+      "defaultSurfaceFactor": 0.6
+    },
+    "K": {
+      "displayName": "Potassium",
+      "phaseSTP": "s",
+      "color": "silvery",
+      "density_g_cm3": 0.86,
+      "heatCapacity_J_molK": 29.6,
+      "thermalConductivity_W_mK": 102,
+      "electricalConductivity": "good",
+      "melting_C": 64,
+      "heatFusion_kJ_per_mol": 2.33,
+      "flammability": "reactive",
+      "toxicity": "low",
+      "hazardTags": ["water_reactive", "hot_sparks"],
+      "statusHooks": { "spark": 0.6 },
+      "defaultSurfaceFactor": 0.7
+    },
+    "KOH": {
+      "displayName": "Potassium Hydroxide (aq)",
+      "phaseSTP": "aq",
+      "heatCapacity_J_molK": 80,
+      "thermalConductivity_W_mK": 0.6,
+      "color": "clear",
+      "toxicity": "mod",
+      "corrosivity": "base",
+      "acidBase": { "cations": 1 },
+      "solubility": { "g_L": 1120, "deltaH_kJ_per_mol": 8 },
+      "hazardTags": ["caustic"],
+      "statusHooks": { "causticPower": 1.0 },
+      "defaultSurfaceFactor": 0.8
+    },
+    "H2": {
+      "displayName": "Hydrogen",
+      "phaseSTP": "g",
+      "color": "invisible",
+      "density_g_cm3": 0.000089,
+      "heatCapacity_J_molK": 28.8,
+      "thermalConductivity_W_mK": 0.18,
+      "diffusivity": 0.25,
+      "flammability": "high",
+      "ignition_C": 500,
+      "heatCombust_kJ_per_mol": 286,
+      "toxicity": "none",
+      "hazardTags": ["explosive", "light_gas"],
+      "statusHooks": { "explosionPower": 0.8 },
+      "defaultSurfaceFactor": 1.0
+    },
+    "O2": {
+      "displayName": "Oxygen",
+      "phaseSTP": "g",
+      "color": "invisible",
+      "density_g_cm3": 0.00133,
+      "heatCapacity_J_molK": 29.4,
+      "thermalConductivity_W_mK": 0.026,
+      "diffusivity": 0.18,
+      "flammability": "oxidizer",
+      "toxicity": "none",
+      "hazardTags": ["oxidizer"],
+      "statusHooks": { "boostCombustion": 0.5 },
+      "defaultSurfaceFactor": 1.0
+    },
+    "CO2": {
+      "displayName": "Carbon Dioxide",
+      "phaseSTP": "g",
+      "color": "invisible",
+      "density_g_cm3": 0.00198,
+      "heatCapacity_J_molK": 37.1,
+      "thermalConductivity_W_mK": 0.017,
+      "diffusivity": 0.2,
+      "flammability": "none",
+      "toxicity": "low",
+      "hazardTags": ["asphyxiant"],
+      "statusHooks": { "smotherFlames": 0.7 },
+      "defaultSurfaceFactor": 1.0
+    },
+    "AgNO3": {
+      "displayName": "Silver Nitrate (aq)",
+      "phaseSTP": "aq",
+      "color": "clear",
+      "toxicity": "mod",
+      "corrosivity": "oxidizer",
+      "solubility": { "g_L": 2160, "deltaH_kJ_per_mol": 22.6 },
+      "hazardTags": ["stains_skin"],
+      "statusHooks": { "stain": 0.5 },
+      "defaultSurfaceFactor": 0.8
+    },
+    "NaCl": {
+      "displayName": "Sodium Chloride (aq)",
+      "phaseSTP": "aq",
+      "heatCapacity_J_molK": 80,
+      "thermalConductivity_W_mK": 0.58,
+      "color": "clear",
+      "toxicity": "none",
+      "corrosivity": "neutral",
+      "solubility": { "g_L": 360, "deltaH_kJ_per_mol": 3.9 },
+      "hazardTags": ["electrolyte"],
+      "statusHooks": { "conductivityBoost": 0.3 },
+      "defaultSurfaceFactor": 0.8
+    },
+    "AgCl": {
+      "displayName": "Silver Chloride",
+      "aliases": ["AgCl(s)"],
+      "phaseSTP": "s",
+      "heatCapacity_J_molK": 50.8,
+      "thermalConductivity_W_mK": 1.0,
+      "color": "white",
+      "toxicity": "low",
+      "solubility": { "Ksp": 1.8e-10, "ions": [1, 1], "deltaH_kJ_per_mol": 65.5 },
+      "hazardTags": ["precipitate"],
+      "statusHooks": { "clogging": 0.6 },
+      "defaultSurfaceFactor": 0.4
+    },
+    "Ca": {
+      "displayName": "Calcium",
+      "phaseSTP": "s",
+      "heatCapacity_J_molK": 25.9,
+      "thermalConductivity_W_mK": 201,
+      "color": "silvery",
+      "hazardTags": ["water_reactive"],
+      "defaultSurfaceFactor": 0.5
+    },
+    "Mg": {
+      "displayName": "Magnesium",
+      "phaseSTP": "s",
+      "heatCapacity_J_molK": 24.9,
+      "thermalConductivity_W_mK": 156,
+      "color": "silvery",
+      "hazardTags": ["burns_bright"],
+      "defaultSurfaceFactor": 0.5
+    },
+    "MnO2": {
+      "displayName": "Manganese Dioxide",
+      "phaseSTP": "s",
+      "color": "black",
+      "density_g_cm3": 5.03,
+      "heatCapacity_J_molK": 54.1,
+      "melting_C": 535,
+      "flammability": "none",
+      "toxicity": "low",
+      "hazardTags": ["catalyst", "oxidizer"],
+      "catalyst": { "tags": ["catalyst_MnO2"], "multiplier": 4, "saturation": 0.1, "poisons": { "Pb(NO3)2": 0.8 }, "deactivationPerUnit": 0.01 },
+      "defaultSurfaceFactor": 0.5
+    },
+    "Zn": {
+      "displayName": "Zinc",
+      "phaseSTP": "s",
+      "heatCapacity_J_molK": 25.4,
+      "thermalConductivity_W_mK": 116,
+      "color": "grey",
+      "hazardTags": ["acid_reactive"],
+      "defaultSurfaceFactor": 0.5
+    },
+    "HNO3": {
+      "displayName": "Nitric Acid (aq)",
+      "phaseSTP": "aq",
+      "color": "clear",
+      "corrosivity": "acid",
+      "acidBase": { "pKa": [-1.4] },
+      "hazardTags": ["oxidizer", "acid"],
+      "defaultSurfaceFactor": 0.8
+    },
+    "H2SO4": {
+      "displayName": "Sulfuric Acid (aq)",
+      "phaseSTP": "aq",
+      "color": "clear",
+      "corrosivity": "acid",
+      "acidBase": { "pKa": [-3, 1.99] },
+      "hazardTags": ["acid", "dehydrating"],
+      "defaultSurfaceFactor": 0.8
+    },
+    "Cu": {
+      "displayName": "Copper",
+      "phaseSTP": "s",
+      "heatCapacity_J_molK": 24.4,
+      "thermalConductivity_W_mK": 401,
+      "electricalConductivity": "excellent",
+      "color": "red",
+      "hazardTags": ["metal"],
+      "defaultSurfaceFactor": 0.4
+    },
+    "CuSO4": {
+      "displayName": "Copper(II) Sulfate",
+      "phaseSTP": "aq",
+      "color": "blue",
+      "solubility": { "g_L": 320, "deltaH_kJ_per_mol": 12 },
+      "hazardTags": ["toxic"],
+      "defaultSurfaceFactor": 0.8
+    },
+    "BaCl2": {
+      "displayName": "Barium Chloride",
+      "phaseSTP": "aq",
+      "color": "clear",
+      "solubility": { "g_L": 358, "deltaH_kJ_per_mol": 8 },
+      "hazardTags": ["toxic"],
+      "defaultSurfaceFactor": 0.8
+    },
+    "Pb(NO3)2": {
+      "displayName": "Lead(II) Nitrate",
+      "phaseSTP": "aq",
+      "color": "clear",
+      "solubility": { "g_L": 520, "deltaH_kJ_per_mol": 37 },
+      "hazardTags": ["toxic"],
+      "defaultSurfaceFactor": 0.8
+    },
+    "KI": {
+      "displayName": "Potassium Iodide",
+      "phaseSTP": "aq",
+      "color": "clear",
+      "solubility": { "g_L": 1440, "deltaH_kJ_per_mol": 20.3 },
+      "defaultSurfaceFactor": 0.8
+    },
+    "I2": {
+      "displayName": "Iodine",
+      "phaseSTP": "s",
+      "color": "purple_brown",
+      "solubility": { "g_L": 0.3, "deltaH_kJ_per_mol": 20 },
+      "hazardTags": ["stains", "toxic"],
+      "defaultSurfaceFactor": 0.4
+    },
+    "N2": {
+      "displayName": "Nitrogen",
+      "phaseSTP": "g",
+      "color": "invisible",
+      "density_g_cm3": 0.00125,
+      "heatCapacity_J_molK": 29.1,
+      "thermalConductivity_W_mK": 0.026,
+      "flammability": "none",
+      "toxicity": "none",
+      "hazardTags": ["asphyxiant"],
+      "statusHooks": { "smotherFlames": 0.3 },
+      "defaultSurfaceFactor": 1.0
+    },
+    "Cl2": {
+      "displayName": "Chlorine",
+      "phaseSTP": "g",
+      "color": "pale_green",
+      "density_g_cm3": 0.00321,
+      "heatCapacity_J_molK": 33.9,
+      "thermalConductivity_W_mK": 0.009,
+      "boiling_C": -34,
+      "toxicity": "high",
+      "corrosivity": "high",
+      "hazardTags": ["toxic", "corrosive"],
+      "defaultSurfaceFactor": 1.0
+    },
+    "NO2": {
+      "displayName": "Nitrogen Dioxide",
+      "phaseSTP": "g",
+      "heatCapacity_J_molK": 37.2,
+      "thermalConductivity_W_mK": 0.026,
+      "color": "brown",
+      "hazardTags": ["toxic"],
+      "defaultSurfaceFactor": 1.0
+    },
+    "PbI2": {
+      "displayName": "Lead(II) Iodide",
+      "phaseSTP": "s",
+      "color": "yellow",
+      "solubility": { "Ksp": 9.8e-9, "ions": [1, 2], "deltaH_kJ_per_mol": 63 },
+      "hazardTags": ["toxic", "precipitate"],
+      "defaultSurfaceFactor": 0.4
+    },
+    "Ca(OH)2": {
+      "displayName": "Calcium Hydroxide (aq)",
+      "phaseSTP": "aq",
+      "color": "clear",
+      "acidBase": { "cations": 2 },
+      "solubility": { "g_L": 1.73, "deltaH_kJ_per_mol": -16.7 },
+      "hazardTags": ["base"],
+      "defaultSurfaceFactor": 0.7
+    },
+    "ZnCl2": {
+      "displayName": "Zinc Chloride (aq)",
+      "phaseSTP": "aq",
+      "color": "clear",
+      "solubility": { "g_L": 4320 },
+      "hazardTags": ["toxic"],
+      "defaultSurfaceFactor": 0.8
+    },
+    "Cu(NO3)2": {
+      "displayName": "Copper(II) Nitrate",
+      "phaseSTP": "aq",
+      "color": "blue",
+      "solubility": { "g_L": 1380 },
+      "hazardTags": ["toxic"],
+      "defaultSurfaceFactor": 0.8
+    },
+    "C12H22O11": {
+      "displayName": "Sucrose",
+      "phaseSTP": "s",
+      "color": "white",
+      "flammability": "low",
+      "ignition_C": 350,
+      "heatCombust_kJ_per_mol": 5645,
+      "solubility": { "g_L": 2000, "deltaH_kJ_per_mol": 5.4 },
+      "defaultSurfaceFactor": 0.4
+    },
+    "C": {
+      "displayName": "Carbon",
+      "phaseSTP": "s",
+      "heatCapacity_J_molK": 8.5,
+      "thermalConductivity_W_mK": 1.7,
+      "electricalConductivity": "good",
+      "color": "black",
+      "flammability": "medium",
+      "ignition_C": 700,
+      "heatCombust_kJ_per_mol": 393.5,
+      "defaultSurfaceFactor": 0.4
+    },
+    "Cu(OH)2": {
+      "displayName": "Copper(II) Hydroxide",
+      "phaseSTP": "s",
+      "color": "blue",
+      "solubility": { "Ksp": 2.2e-20, "ions": [1, 2] },
+      "hazardTags": ["precipitate"],
+      "defaultSurfaceFactor": 0.4
+    },
+    "Na2SO4": {
+      "displayName": "Sodium Sulfate (aq)",
+      "phaseSTP": "aq",
+      "color": "clear",
+      "solubility": { "g_L": 195, "deltaH_kJ_per_mol": 2.4 },
+      "defaultSurfaceFactor": 0.8
+    },
+    "BaSO4": {
+      "displayName": "Barium Sulfate",
+      "phaseSTP": "s",
+      "color": "white",
+      "solubility": { "Ksp": 1.1e-10, "ions": [1, 1], "deltaH_kJ_per_mol": 26 },
+      "hazardTags": ["precipitate"],
+      "defaultSurfaceFactor": 0.4
+    },
+    "NaNO3": {
+      "displayName": "Sodium Nitrate (aq)",
+      "phaseSTP": "aq",
+      "color": "clear",
+      "solubility": { "g_L": 912, "deltaH_kJ_per_mol": 20.5 },
+      "hazardTags": ["oxidizer"],
+      "defaultSurfaceFactor": 0.8
+    },
+    "KNO3": {
+      "displayName": "Potassium Nitrate (aq)",
+      "phaseSTP": "aq",
+      "color": "clear",
+      "solubility": { "g_L": 316, "deltaH_kJ_per_mol": 34.9 },
+      "hazardTags": ["oxidizer"],
+      "defaultSurfaceFactor": 0.8
+    }
+  }
+};
@@ -0,0 +1,326 @@
+// Core reaction pack: the demo reactions the sim ships with.
+
+export const Reactions = [
+  {
+    "id": "acid_base_hcl_naoh",
+    "equation": "HCl + NaOH -> NaCl + H2O",
+    "stoich": {
+      "reactants": {"HCl": 1, "NaOH": 1},
+      "products": {"NaCl": 1, "H2O": 1}
+    },
+    "phases": {"HCl": "aq", "NaOH": "aq", "NaCl": "aq", "H2O": "l"},
+    "tags": ["acid_base", "exothermic:medium"],
+    "rates": {"base": 0.7},
+    "effects": {"heatPerUnit": 12},
+    "visuals": {"bubbles": false}
+  },
+  {
+    "id": "acid_base_h2so4_naoh",
+    "equation": "H2SO4 + 2 NaOH -> Na2SO4 + 2 H2O",
+    "stoich": {
+      "reactants": {"H2SO4": 1, "NaOH": 2},
+      "products": {"Na2SO4": 1, "H2O": 2}
+    },
+    "phases": {"H2SO4": "aq", "NaOH": "aq", "Na2SO4": "aq", "H2O": "l"},
+    "tags": ["acid_base", "exothermic:high"],
+    "rates": {"base": 0.8},
+    "effects": {"heatPerUnit": 18},
+    "visuals": {"bubbles": false}
+  },
+  {
+    "id": "acid_carbonate_hcl_na2co3",
+    "equation": "2 HCl + Na2CO3 -> 2 NaCl + H2O + CO2",
+    "stoich": {
+      "reactants": {"HCl": 2, "Na2CO3": 1},
+      "products": {"NaCl": 2, "H2O": 1, "CO2": 1}
+    },
+    "phases": {"HCl": "aq", "Na2CO3": "aq", "NaCl": "aq", "H2O": "l", "CO2": "g"},
+    "tags": ["gas_evolution", "exothermic:low"],
+    "rates": {"base": 0.6, "surfaceRole": "Na2CO3"},
+    "effects": {
+      "heatPerUnit": 10,
+      "emitGas": {"CO2": 1.0},
+      "pressurePulse": {"size": 0.4, "cooldownMs": 120, "cap": 3.0}
+    },
+    "visuals": {"bubbles": true}
+  },
+  {
+    "id": "acid_bicarb_hcl_nahco3",
+    "equation": "HCl + NaHCO3 -> NaCl + H2O + CO2",
+    "stoich": {
+      "reactants": {"HCl": 1, "NaHCO3": 1},
+      "products": {"NaCl": 1, "H2O": 1, "CO2": 1}
+    },
+    "phases": {"HCl": "aq", "NaHCO3": "aq", "NaCl": "aq", "H2O": "l", "CO2": "g"},
+    "tags": ["gas_evolution", "exothermic:low"],
+    "rates": {"base": 0.7, "surfaceRole": "NaHCO3"},
+    "effects": {
+      "heatPerUnit": 8,
+      "emitGas": {"CO2": 1.0},
+      "pressurePulse": {"size": 0.35, "cooldownMs": 120, "cap": 2.5}
+    },
+    "visuals": {"bubbles": true}
+  },
+  {
+    "id": "bicarbonate_carbonate_buffer",
+    "equation": "NaHCO3 + NaOH <=> Na2CO3 + H2O",
+    "stoich": {
+      "reactants": {"NaHCO3": 1, "NaOH": 1},
+      "products": {"Na2CO3": 1, "H2O": 1}
+    },
+    "phases": {"NaHCO3": "aq", "NaOH": "aq", "Na2CO3": "aq", "H2O": "l"},
+    "tags": ["acid_base", "buffer", "reversible", "exothermic:low"],
+    "rates": {"base": 0.6, "orders": {"NaHCO3": 1, "NaOH": 1}, "K_eq": 20, "deltaH_kJ_per_mol": -40},
+    "effects": {"heatPerUnit": 4},
+    "visuals": {"bubbles": false}
+  },
+  {
+    "id": "bicarbonate_decomp",
+    "equation": "2 NaHCO3 <=> Na2CO3 + H2O + CO2",
+    "stoich": {
+      "reactants": {"NaHCO3": 2},
+      "products": {"Na2CO3": 1, "H2O": 1, "CO2": 1}
+    },
+    "phases": {"NaHCO3": "aq", "Na2CO3": "aq", "H2O": "l", "CO2": "g"},
+    "tags": ["decomposition", "gas_evolution", "reversible", "endothermic"],
+    "rates": {"base": 0.2, "Ea_kJ_per_mol": 90, "refTemp_C": 120, "orders": {"NaHCO3": 1}, "K_eq": 5, "deltaH_kJ_per_mol": 130},
+    "effects": {"heatPerUnit": -6},
+    "visuals": {"bubbles": true}
+  },
+  {
+    "id": "metal_water_na",
+    "equation": "2 Na + 2 H2O -> 2 NaOH + H2",
+    "stoich": {
+      "reactants": {"Na": 2, "H2O": 2},
+      "products": {"NaOH": 2, "H2": 1}
+    },
+    "phases": {"Na": "s", "H2O": "l", "NaOH": "aq", "H2": "g"},
+    "tags": ["metal_water", "exothermic:high", "gas_evolution"],
+    "rates": {"base": 0.8, "Ea_kJ_per_mol": 35, "requires": {"moisture": 0.03}, "surfaceRole": "Na"},
+    "effects": {
+      "heatPerUnit": 48,
+      "emitGas": {"H2": 1.0},
+      "pressurePulse": {"size": 0.55, "cooldownMs": 120, "cap": 4.0}
+    },
+    "visuals": {"bubbles": true, "sparks": true}
+  },
+  {
+    "id": "metal_water_k",
+    "equation": "2 K + 2 H2O -> 2 KOH + H2",
+    "stoich": {
+      "reactants": {"K": 2, "H2O": 2},
+      "products": {"KOH": 2, "H2": 1}
+    },
+    "phases": {"K": "s", "H2O": "l", "KOH": "aq", "H2": "g"},
+    "tags": ["metal_water", "exothermic:very_high", "gas_evolution"],
+    "rates": {"base": 0.9, "Ea_kJ_per_mol": 30, "requires": {"moisture": 0.05}, "surfaceRole": "K"},
+    "effects": {
+      "heatPerUnit": 60,
+      "emitGas": {"H2": 1.0},
+      "pressurePulse": {"size": 0.6, "cooldownMs": 120, "cap": 5.0}
+    },
+    "visuals": {"bubbles": true, "sparks": true}
+  },
+  {
+    "id": "peroxide_decomp",
+    "equation": "2 H2O2 -> 2 H2O + O2",
+    "stoich": {
+      "reactants": {"H2O2": 2},
+      "products": {"H2O": 2, "O2": 1}
+    },
+    "phases": {"H2O2": "aq", "H2O": "l", "O2": "g"},
+    "tags": ["gas_evolution", "exothermic:medium", "catalyzed"],
+    "rates": {"base": 0.15, "Ea_kJ_per_mol": 58, "orders": {"H2O2": 1}, "requiresTag": "catalyst_MnO2"},
+    "effects": {
+      "heatPerUnit": 16,
+      "emitGas": {"O2": 1.0},
+      "pressurePulse": {"size": 0.45, "cooldownMs": 140, "cap": 3.0}
+    },
+    "visuals": {"foam": true}
+  },
+  {
+    "id": "combust_h2",
+    "equation": "2 H2 + O2 -> 2 H2O(g)",
+    "stoich": {
+      "reactants": {"H2": 2, "O2": 1},
+      "products": {"H2O_g": 2}
+    },
+    "phases": {"H2": "g", "O2": "g", "H2O_g": "g"},
+    "tags": ["combustion", "exothermic:very_high", "requires_ignition"],
+    "rates": {"base": 1.0, "requires": {"ignition": true}},
+    "effects": {
+      "lightFlash": true,
+      "pressurePulse": {"size": 0.8, "cooldownMs": 80, "cap": 6.0}
+    },
+    "visuals": {"flame": true}
+  },
+  {
+    "id": "electrolysis_h2o",
+    "equation": "2 H2O -> 2 H2 + O2 (electrolysis)",
+    "stoich": {
+      "reactants": {"H2O": 2},
+      "products": {"H2": 2, "O2": 1}
+    },
+    "phases": {"H2O": "l", "H2": "g", "O2": "g"},
+    "tags": ["electrolysis", "gas_evolution", "endothermic"],
+    "rates": {"electrons": 4, "requires": {"power": 0.2}},
+    "effects": {},
+    "visuals": {"bubbles": true}
+  },
+  {
+    "id": "electrolysis_brine",
+    "equation": "2 NaCl + 2 H2O -> Cl2 + H2 + 2 NaOH (electrolysis)",
+    "stoich": {
+      "reactants": {"NaCl": 2, "H2O": 2},
+      "products": {"Cl2": 1, "H2": 1, "NaOH": 2}
+    },
+    "phases": {"NaCl": "aq", "H2O": "l", "Cl2": "g", "H2": "g", "NaOH": "aq"},
+    "tags": ["electrolysis", "gas_evolution", "endothermic"],
+    "rates": {"electrons": 2, "requires": {"power": 0.2}, "priority": 1},
+    "effects": {},
+    "visuals": {"bubbles": true, "color": "pale_green"}
+  },
+  {
+    "id": "combust_c",
+    "equation": "C + O2 -> CO2",
+    "stoich": {
+      "reactants": {"C": 1, "O2": 1},
+      "products": {"CO2": 1}
+    },
+    "phases": {"C": "s", "O2": "g", "CO2": "g"},
+    "tags": ["combustion", "exothermic:high", "requires_ignition"],
+    "rates": {"base": 0.3, "requires": {"ignition": true}, "surfaceRole": "C"},
+    "effects": {},
+    "visuals": {"flame": true, "embers": true}
+  },
+  {
+    "id": "combust_sucrose",
+    "equation": "C12H22O11 + 12 O2 -> 12 CO2 + 11 H2O(g)",
+    "stoich": {
+      "reactants": {"C12H22O11": 1, "O2": 12},
+      "products": {"CO2": 12, "H2O_g": 11}
+    },
+    "phases": {"C12H22O11": "s", "O2": "g", "CO2": "g", "H2O_g": "g"},
+    "tags": ["combustion", "exothermic:very_high", "requires_ignition"],
+    "rates": {"base": 0.05, "requires": {"ignition": true}, "surfaceRole": "C12H22O11"},
+    "effects": {},
+    "visuals": {"flame": true}
+  },
+  {
+    "id": "combust_nh3",
+    "equation": "4 NH3 + 3 O2 -> 2 N2 + 6 H2O(g)",
+    "stoich": {
+      "reactants": {"NH3": 4, "O2": 3},
+      "products": {"N2": 2, "H2O_g": 6}
+    },
+    "phases": {"NH3": "aq", "O2": "g", "N2": "g", "H2O_g": "g"},
+    "tags": ["combustion", "exothermic:high", "requires_ignition"],
+    "rates": {"base": 0.2, "requires": {"ignition": true}},
+    "effects": {},
+    "visuals": {"flame": true}
+  },
+  {
+    "id": "precip_agcl",
+    "equation": "AgNO3 + NaCl -> AgCl ↓ + NaNO3",
+    "stoich": {
+      "reactants": {"AgNO3": 1, "NaCl": 1},
+      "products": {"AgCl": 1, "NaNO3": 1}
+    },
+    "phases": {"AgNO3": "aq", "NaCl": "aq", "AgCl": "s", "NaNO3": "aq"},
+    "tags": ["precipitation"],
+    "rates": {"base": 0.9},
+    "effects": {"precipitate": {"AgCl": 1.0}},
+    "visuals": {"cloudy": true}
+  },
+  {
+    "id": "metal_water_ca",
+    "equation": "Ca + 2 H2O -> Ca(OH)2 + H2",
+    "stoich": {
+      "reactants": {"Ca": 1, "H2O": 2},
+      "products": {"Ca(OH)2": 1, "H2": 1}
+    },
+    "phases": {"Ca": "s", "H2O": "l", "Ca(OH)2": "aq", "H2": "g"},
+    "tags": ["metal_water", "gas_evolution"],
+    "rates": {"base": 0.6, "Ea_kJ_per_mol": 40, "requires": {"moisture": 0.02}, "surfaceRole": "Ca"},
+    "effects": { "heatPerUnit": 20, "emitGas": {"H2": 1.0} },
+    "visuals": {"bubbles": true}
+  },
+  {
+    "id": "metal_acid_zn_hcl",
+    "equation": "Zn + 2 HCl -> ZnCl2 + H2",
+    "stoich": {
+      "reactants": {"Zn": 1, "HCl": 2},
+      "products": {"ZnCl2": 1, "H2": 1}
+    },
+    "phases": {"Zn": "s", "HCl": "aq", "ZnCl2": "aq", "H2": "g"},
+    "tags": ["metal_acid", "gas_evolution"],
+    "rates": {"base": 0.65, "surfaceRole": "Zn"},
+    "effects": { "heatPerUnit": 15, "emitGas": {"H2": 1.0} },
+    "visuals": {"bubbles": true}
+  },
+  {
+    "id": "acid_cu_hno3",
+    "equation": "Cu + 4 HNO3 -> Cu(NO3)2 + 2 NO2 + 2 H2O",
+    "stoich": {
+      "reactants": {"Cu": 1, "HNO3": 4},
+      "products": {"Cu(NO3)2": 1, "NO2": 2, "H2O": 2}
+    },
+    "phases": {"Cu": "s", "HNO3": "aq", "Cu(NO3)2": "aq", "NO2": "g", "H2O": "l"},
+    "tags": ["oxidation", "gas_evolution"],
+    "rates": {"base": 0.4, "Ea_kJ_per_mol": 45, "orders": {"HNO3": 1}},
+    "effects": { "emitGas": {"NO2": 1.0}, "heatPerUnit": 20 },
+    "visuals": {"gasColor": "brown"}
+  },
+  {
+    "id": "acid_sugar_h2so4",
+    "equation": "C12H22O11 + H2SO4 -> 12 C + 11 H2O + H2SO4",
+    "stoich": {
+      "reactants": {"C12H22O11": 1, "H2SO4": 1},
+      "products": {"C": 12, "H2O": 11, "H2SO4": 1}
+    },
+    "phases": {"C12H22O11": "s", "H2SO4": "aq", "C": "s", "H2O": "l"},
+    "tags": ["dehydration", "exothermic"],
+    "rates": {"base": 0.25, "Ea_kJ_per_mol": 60},
+    "effects": { "heatPerUnit": 40 },
+    "visuals": {"foam": true, "color": "black"}
+  },
+  {
+    "id": "precip_cuso4_naoh",
+    "equation": "CuSO4 + 2 NaOH -> Cu(OH)2 ↓ + Na2SO4",
+    "stoich": {
+      "reactants": {"CuSO4": 1, "NaOH": 2},
+      "products": {"Cu(OH)2": 1, "Na2SO4": 1}
+    },
+    "phases": {"CuSO4": "aq", "NaOH": "aq", "Cu(OH)2": "s", "Na2SO4": "aq"},
+    "tags": ["precipitation"],
+    "rates": {"base": 0.85},
+    "effects": { "precipitate": {"Cu(OH)2": 1.0} },
+    "visuals": {"cloudy": true, "color": "blue"}
+  },
+  {
+    "id": "precip_bacl2_na2so4",
+    "equation": "BaCl2 + Na2SO4 -> BaSO4 ↓ + 2 NaCl",
+    "stoich": {
+      "reactants": {"BaCl2": 1, "Na2SO4": 1},
+      "products": {"BaSO4": 1, "NaCl": 2}
+    },
+    "phases": {"BaCl2": "aq", "Na2SO4": "aq", "BaSO4": "s", "NaCl": "aq"},
+    "tags": ["precipitation"],
+    "rates": {"base": 0.8},
+    "effects": { "precipitate": {"BaSO4": 1.0} },
+    "visuals": {"cloudy": true, "color": "white"}
+  },
+  {
+    "id": "precip_pb_no3_ki",
+    "equation": "Pb(NO3)2 + 2 KI -> PbI2 ↓ + 2 KNO3",
+    "stoich": {
+      "reactants": {"Pb(NO3)2": 1, "KI": 2},
+      "products": {"PbI2": 1, "KNO3": 2}
+    },
+    "phases": {"Pb(NO3)2": "aq", "KI": "aq", "PbI2": "s", "KNO3": "aq"},
+    "tags": ["precipitation"],
+    "rates": {"base": 0.85},
+    "effects": { "precipitate": {"PbI2": 1.0} },
+    "visuals": {"cloudy": true, "color": "yellow"}
+  }
+];
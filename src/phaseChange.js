@@ -0,0 +1,156 @@
+// Melting, freezing, boiling and condensation from each material's melting_C / boiling_C.
+//
+// Bags are phases: `solids` holds the solid form, `species` the liquid (or dissolved) form and `gas`
+// the vapour. A material can name its other forms when they use different ids (water is `H2O` in
+// `species` and `H2O_g` in `gas`): `vaporForm` on the liquid, `condensedForm` on the vapour.
+// Materials that are aqueous at STP are solutes and never freeze out. Below its melting point, a
+// material with a `solubility` block in `species` is dissolved and crystallizes through the
+// solubility pass instead; other solids-at-STP only freeze back out of a dry tile.
+// Every transition is energy-limited: only as much converts as the tile's heat above (or below) the
+// transition point can pay for in latent heat (`heatFusion_kJ_per_mol`, `heatVaporization_kJ_per_mol`),
+// which pins the tile at that temperature until the change completes. Vapour also condenses onto
+// neighbours colder than its boiling point, warming them. Each tick's changes are recorded on
+// `tile._transitions` as { id, kind: 'melted'|'froze'|'boiled'|'condensed', amount, complete }.
+
+import { kindOf } from './tileKinds.js';
+import { tileVolumeOf } from './units.js';
+
+const DEFAULT_FUSION_KJ = 10;
+const DEFAULT_VAPORIZATION_KJ = 40;
+const NEIGHBOR_CONDENSE_RATE = 2; // 1/s; share of vapour offered to each colder neighbour
+const WET_MOISTURE = 0.3;
+const WET_SOLVENT = 0.01;
+const TRACE = 1e-9;
+
+// Adds to this tick's `tile._transitions`; the solubility pass records through it too.
+export function recordTransition(tile, id, kind, amount, complete){
+  const list = tile._transitions || (tile._transitions = []);
+  const entry = list.find(e => e.id === id && e.kind === kind);
+  if(entry){ entry.amount += amount; entry.complete = complete; }
+  else list.push({ id, kind, amount, complete });
+}
+
+export function createPhaseChangePass(materialRegistry, heatModel){
+  const info = new Map();
+  let infoFor = null;
+  let C = null;
+  let volume = 1; // the world's tile volume, set each pass
+
+  function infoOf(id){
+    if(infoFor !== materialRegistry.materials){ info.clear(); infoFor = materialRegistry.materials; }
+    let p = info.get(id);
+    if(!p){
+      const mat = materialRegistry.get(id);
+      const condensedId = mat?.condensedForm || id;
+      const condensed = condensedId === id ? mat : materialRegistry.get(condensedId);
+      p = {
+        melting: mat?.melting_C,
+        boiling: mat?.boiling_C,
+        solute: mat?.phaseSTP === 'aq',
+        solvent: mat?.phaseSTP === 'l',
+        solidAtSTP: mat?.phaseSTP === 's',
+        dissolves: !!mat?.solubility,
+        vaporId: mat?.vaporForm || id,
+        condensedId,
+        condenseAt: condensed?.boiling_C,
+        fusion: (mat?.heatFusion_kJ_per_mol ?? DEFAULT_FUSION_KJ) * 1000,
+        vaporization: (condensed?.heatVaporization_kJ_per_mol ?? DEFAULT_VAPORIZATION_KJ) * 1000,
+        wetness: condensed?.statusHooks?.wetnessMod || 0
+      };
+      info.set(id, p);
+    }
+    return p;
+  }
+
+  function isWet(tile){
+    if((tile.moisture || 0) > WET_MOISTURE) return true;
+    for(const [id, qty] of Object.entries(tile.species)){
+      if(qty > WET_SOLVENT && infoOf(id).solvent) return true;
+    }
+    return false;
+  }
+
+  // Moves material from one bag to another, as far as `budget` joules (at `latent` J/unit) allow.
+  function convert(tile, from, fromId, to, toId, latent, budget, kind, recordId){
+    const have = tile[from][fromId] || 0;
+    const amount = Math.min(have, Math.max(0, budget) / latent);
+    if(!(amount > TRACE)) return 0;
+    const left = have - amount;
+    if(left > TRACE) tile[from][fromId] = left; else delete tile[from][fromId];
+    tile[to][toId] = (tile[to][toId] || 0) + amount;
+    recordTransition(tile, recordId, kind, amount, !(left > TRACE));
+    return amount;
+  }
+
+  // Heat capacity is only measured for tiles that actually change phase this tick.
+  function capOf(tile, w){
+    const i = tile.y*w+tile.x;
+    if(Number.isNaN(C[i])) C[i] = heatModel.heatCapacityOf(tile, volume);
+    return C[i];
+  }
+
+  function transitionsOn(tile, w){
+    const cap = () => capOf(tile, w);
+    let wet = null;
+    for(const id of Object.keys(tile.solids)){
+      const p = infoOf(id);
+      if(p.melting === undefined || tile.temp <= p.melting) continue;
+      const n = convert(tile, 'solids', id, 'species', id, p.fusion, (tile.temp - p.melting) * cap(), 'melted', id);
+      tile.temp -= n * p.fusion / cap();
+    }
+    for(const id of Object.keys(tile.species)){
+      const p = infoOf(id);
+      if(p.boiling !== undefined && tile.temp > p.boiling){
+        const n = convert(tile, 'species', id, 'gas', p.vaporId, p.vaporization, (tile.temp - p.boiling) * cap(), 'boiled', id);
+        tile.temp -= n * p.vaporization / cap();
+        if(p.wetness) tile.moisture = Math.max(0, tile.moisture - 0.01 * p.wetness * n);
+      } else if(p.melting !== undefined && !p.solute && tile.temp < p.melting){
+        if(p.dissolves || (p.solidAtSTP && (wet ?? (wet = isWet(tile))))) continue;
+        const n = convert(tile, 'species', id, 'solids', id, p.fusion, (p.melting - tile.temp) * cap(), 'froze', id);
+        tile.temp += n * p.fusion / cap();
+      }
+    }
+    for(const id of Object.keys(tile.gas)){
+      const p = infoOf(id);
+      if(p.condenseAt === undefined || tile.temp >= p.condenseAt) continue;
+      const n = convert(tile, 'gas', id, 'species', p.condensedId, p.vaporization, (p.condenseAt - tile.temp) * cap(), 'condensed', p.condensedId);
+      tile.temp += n * p.vaporization / cap();
+      if(p.wetness) tile.moisture = Math.min(1, tile.moisture + 0.02 * p.wetness * n);
+    }
+  }
+
+  function condenseOnNeighbors(world, x, y, dt){
+    const t = world.grid[y][x];
+    for(const id of Object.keys(t.gas)){
+      const p = infoOf(id);
+      if(p.condenseAt === undefined) continue;
+      for(const [dx, dy] of [[1,0],[-1,0],[0,1],[0,-1]]){
+        const nb = world.tile(x+dx, y+dy);
+        if(!nb || !kindOf(nb).holds || nb.temp >= p.condenseAt) continue;
+        const vapor = t.gas[id] || 0;
+        if(!(vapor > TRACE)) break;
+        const cap = capOf(nb, world.w);
+        const offered = vapor * Math.min(1, NEIGHBOR_CONDENSE_RATE * dt);
+        const amount = Math.min(offered, (p.condenseAt - nb.temp) * cap / p.vaporization);
+        if(!(amount > TRACE)) continue;
+        const left = vapor - amount;
+        if(left > TRACE) t.gas[id] = left; else delete t.gas[id];
+        nb.species[p.condensedId] = (nb.species[p.condensedId] || 0) + amount;
+        nb.temp += amount * p.vaporization / cap;
+        if(p.wetness) nb.moisture = Math.min(1, nb.moisture + 0.02 * p.wetness * amount);
+        recordTransition(nb, p.condensedId, 'condensed', amount, false);
+      }
+    }
+  }
+
+  return function phaseChangePass(world, dt){
+    const w = world.w, h = world.h, n = w * h;
+    if(!C || C.length !== n) C = new Float64Array(n);
+    C.fill(NaN);
+    volume = tileVolumeOf(world);
+    for(let y=0;y<h;y++) for(let x=0;x<w;x++) transitionsOn(world.grid[y][x], w);
+    for(let y=0;y<h;y++) for(let x=0;x<w;x++){
+      if(Object.keys(world.grid[y][x].gas).length) condenseOnNeighbors(world, x, y, dt);
+    }
+  };
+}
@@ -0,0 +1,161 @@
+// Gauge pressure from each tile's gas inventory, bulk gas flow down pressure gradients, and venting.
+//
+// Pressure is ideal-gas style: P = perMole · Σ gas / V · T/T_ref for a tile of V litres, plus a
+// transient `overpressure` left by reaction pulses, so it reads the same on any grid. Neighbours with a pressure difference exchange gas as a mixture (every gas
+// species in the same proportion), which is separate from diffusion: diffusion mixes at equal
+// pressure, flow moves bulk gas. Overpressure spreads to neighbours and decays; gas escapes through
+// the world edges and, slowly, through the open top of every tile that is not sealed in: tiles
+// walls cut off from the world edge form a closed chamber and keep their gas. Walls and porous tiles throttle
+// flow across their edges; vent tiles drain gas and overpressure (see tileKinds.js). The flow and
+// spread rates are for default-sized tiles and are scaled to the world's (see units.js), in
+// substeps no longer than a default tile's.
+
+import { kindOf } from './tileKinds.js';
+import { tileVolumeOf, exchangeScaleOf } from './units.js';
+
+export const MAX_PRESSURE = 12; // 3 mol/L of gas at T_ref with the default perMole
+
+const REF_TEMP_K = 293.15;
+const MAX_EDGE_FRACTION = 0.24; // share of a tile's gas that may leave through one edge per tick
+const OVERPRESSURE_SPREAD = 0.15; // share of a difference evened out per edge in a tick of DEFAULT_DT
+const DEFAULT_DT = 1/60;
+
+export function createPressurePass({
+  perMole = 4,           // pressure units per mol/L of gas at T_ref
+  flow = 6,              // 1/s; how quickly a pressure difference is evened out
+  edgeVent = 0.25,       // flow multiplier across the world boundary (0 = sealed)
+  surfaceVent = 0.02,    // 1/s; fraction of pressurized gas lost through the open top
+  overpressureDecay = 2  // 1/s
+} = {}){
+  let P = null, N = null, Tf = null, K = null, VENT = null, Fx = null, Fy = null, Fout = null, values = null, delta = null;
+  let OPEN = null, queue = null;
+  let volume = 1, scale = 1; // the world's tile volume and exchange scale, set each pass
+
+  // N holds gas concentrations (mol/L), so flow fractions below do not depend on tile size.
+  function measure(tile, i){
+    const kind = kindOf(tile);
+    K[i] = kind.permeability;
+    VENT[i] = kind.ventRate || 0;
+    let n = 0;
+    for(const k in tile.gas){ const q = tile.gas[k]; if(q > 0) n += q; }
+    N[i] = n / volume;
+    Tf[i] = Math.max(1, tile.temp + 273.15) / REF_TEMP_K;
+    P[i] = perMole * N[i] * Tf[i] + (tile.overpressure || 0);
+  }
+
+  // Signed fraction of the higher tile's gas moved from a to b (negative: b to a).
+  function edgeFlow(a, b, dt){
+    const dP = P[a] - P[b];
+    if(dP === 0) return 0;
+    const [hi, lo] = dP > 0 ? [a, b] : [b, a];
+    if(!(N[hi] > 0)) return 0;
+    const equalizing = Math.abs(dP) / (perMole * (Tf[hi] + Tf[lo]));
+    const fraction = Math.min(K[a], K[b]) * Math.min(MAX_EDGE_FRACTION, Math.min(1, flow * scale * dt) * equalizing / N[hi]);
+    return dP > 0 ? fraction : -fraction;
+  }
+
+  function spreadOverpressure(world, dt){
+    const w = world.w, h = world.h;
+    const spread = OVERPRESSURE_SPREAD * scale * dt / DEFAULT_DT;
+    for(let y=0;y<h;y++) for(let x=0;x<w;x++) values[y*w+x] = world.grid[y][x].overpressure || 0;
+    delta.fill(0);
+    for(let y=0;y<h;y++) for(let x=0;x<w;x++){
+      const i = y*w+x;
+      if(x+1 < w){ const d = spread * Math.min(K[i], K[i+1]) * (values[i] - values[i+1]); delta[i] -= d; delta[i+1] += d; }
+      if(y+1 < h){ const d = spread * Math.min(K[i], K[i+w]) * (values[i] - values[i+w]); delta[i] -= d; delta[i+w] += d; }
+    }
+    for(let y=0;y<h;y++) for(let x=0;x<w;x++){
+      const i = y*w+x; const t = world.grid[y][x];
+      if(!values[i] && !delta[i]) continue;
+      const keep = Math.max(0, 1 - (overpressureDecay + VENT[i]) * dt);
+      const next = Math.max(0, (values[i] + delta[i]) * keep);
+      t.overpressure = next > 1e-6 ? next : 0;
+    }
+  }
+
+  // Marks the tiles connected to the world edge through anything but walls; the rest are sealed in.
+  function markOpen(world){
+    const w = world.w, h = world.h;
+    OPEN.fill(0);
+    let head = 0, tail = 0;
+    const visit = (x, y) => {
+      const i = y*w+x;
+      if(OPEN[i] || !(kindOf(world.grid[y][x]).permeability > 0)) return;
+      OPEN[i] = 1; queue[tail++] = i;
+    };
+    for(let x=0;x<w;x++){ visit(x, 0); visit(x, h-1); }
+    for(let y=0;y<h;y++){ visit(0, y); visit(w-1, y); }
+    while(head < tail){
+      const i = queue[head++], x = i % w, y = (i - x) / w;
+      if(x > 0) visit(x-1, y);
+      if(x+1 < w) visit(x+1, y);
+      if(y > 0) visit(x, y-1);
+      if(y+1 < h) visit(x, y+1);
+    }
+  }
+
+  function flowStep(world, dt){
+    const w = world.w, h = world.h;
+    for(let y=0;y<h;y++) for(let x=0;x<w;x++) measure(world.grid[y][x], y*w+x);
+
+    // Fractions moved across each right/down edge, plus what leaves through the boundary and top.
+    let moving = false;
+    for(let y=0;y<h;y++) for(let x=0;x<w;x++){
+      const i = y*w+x;
+      Fx[i] = x+1 < w ? edgeFlow(i, i+1, dt) : 0;
+      Fy[i] = y+1 < h ? edgeFlow(i, i+w, dt) : 0;
+      const edges = (x === 0) + (x === w-1) + (y === 0) + (y === h-1);
+      let out = 0;
+      if(N[i] > 0 && P[i] > 0){
+        const equalizing = P[i] / (perMole * 2 * Tf[i]);
+        // leaking into open air at a fixed rate per length of boundary, which goes as 1 / edge
+        out += edges * edgeVent * K[i] * Math.min(MAX_EDGE_FRACTION, Math.min(1, flow * Math.sqrt(scale) * dt) * equalizing / N[i]);
+        out += ((OPEN[i] ? surfaceVent : 0) + VENT[i]) * dt;
+      }
+      Fout[i] = Math.min(1, out);
+      if(Fx[i] || Fy[i] || Fout[i]) moving = true;
+    }
+
+    if(moving){
+      const keys = new Set();
+      for(let y=0;y<h;y++) for(let x=0;x<w;x++) for(const k in world.grid[y][x].gas) keys.add(k);
+      for(const key of keys){
+        for(let y=0;y<h;y++) for(let x=0;x<w;x++) values[y*w+x] = world.grid[y][x].gas[key] || 0;
+        delta.fill(0);
+        for(let y=0;y<h;y++) for(let x=0;x<w;x++){
+          const i = y*w+x;
+          if(Fx[i]){ const q = Fx[i] > 0 ? Fx[i] * values[i] : Fx[i] * values[i+1]; delta[i] -= q; delta[i+1] += q; }
+          if(Fy[i]){ const q = Fy[i] > 0 ? Fy[i] * values[i] : Fy[i] * values[i+w]; delta[i] -= q; delta[i+w] += q; }
+          if(Fout[i]) delta[i] -= Fout[i] * values[i];
+        }
+        for(let y=0;y<h;y++) for(let x=0;x<w;x++){
+          const i = y*w+x; if(!delta[i]) continue;
+          const gas = world.grid[y][x].gas; const next = Math.max(0, values[i] + delta[i]);
+          if(next > 1e-12) gas[key] = next; else delete gas[key];
+        }
+      }
+    }
+
+    spreadOverpressure(world, dt);
+  }
+
+  return function pressurePass(world, dt){
+    const w = world.w, h = world.h, n = w * h;
+    if(!P || P.length !== n){
+      P = new Float64Array(n); N = new Float64Array(n); Tf = new Float64Array(n); K = new Float64Array(n); VENT = new Float64Array(n);
+      Fx = new Float64Array(n); Fy = new Float64Array(n); Fout = new Float64Array(n);
+      values = new Float64Array(n); delta = new Float64Array(n);
+      OPEN = new Uint8Array(n); queue = new Int32Array(n);
+    }
+    markOpen(world);
+    volume = tileVolumeOf(world);
+    scale = exchangeScaleOf(world);
+    const steps = Math.max(1, Math.ceil(scale * dt / DEFAULT_DT - 1e-9));
+    for(let s=0;s<steps;s++) flowStep(world, dt / steps);
+    for(let y=0;y<h;y++) for(let x=0;x<w;x++){
+      const i = y*w+x; const t = world.grid[y][x];
+      measure(t, i);
+      t.pressure = Math.min(MAX_PRESSURE, P[i]);
+    }
+  };
+}
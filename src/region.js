@@ -0,0 +1,128 @@
+// Regions: sets of tiles picked by dragging a rectangle or a freehand outline, and their aggregate.
+//
+// A region is `{ kind, cells: [{ x, y }], bounds: { x0, y0, x1, y1 } }` in tile coordinates. Its
+// aggregate is shaped like a tile, so the inspector, narrator and history read it the same way:
+// bags hold totals over the region, `temp`, `pH`, `pressure` and `moisture` are means (with
+// min/mean/max under `range`), `current` is the largest and `power` the total, and `_activity` /
+// `_transitions` merge each reaction's or transition's entries across the region's tiles. Merged
+// activity sums the amounts (`rawExtent`, `rate`, `forward`, `reverse`) and keeps the largest
+// normalized `extent`, so it stays within 0..1 like a tile's.
+
+const BAGS = ['species', 'gas', 'solids'];
+const RANGED = ['temp', 'pH', 'pressure'];
+const SUMMED = ['rawExtent', 'rate', 'forward', 'reverse'];
+
+function regionOf(kind, cells){
+  const unique = new Map();
+  for(const c of cells) unique.set(`${c.x},${c.y}`, { x: c.x, y: c.y });
+  const list = [...unique.values()].sort((a, b) => a.y - b.y || a.x - b.x);
+  const xs = list.map(c => c.x), ys = list.map(c => c.y);
+  return {
+    kind,
+    cells: list,
+    bounds: list.length ? { x0: Math.min(...xs), y0: Math.min(...ys), x1: Math.max(...xs), y1: Math.max(...ys) } : null
+  };
+}
+
+// Every tile between corners `a` and `b` ({ x, y } tile coordinates), inclusive.
+export function rectRegion(a, b){
+  const cells = [];
+  for(let y = Math.min(a.y, b.y); y <= Math.max(a.y, b.y); y++){
+    for(let x = Math.min(a.x, b.x); x <= Math.max(a.x, b.x); x++) cells.push({ x, y });
+  }
+  return regionOf('rect', cells);
+}
+
+// Tiles whose centre lies inside the closed outline `points` (fractional tile coordinates), plus
+// every tile the outline itself passes through.
+export function freehandRegion(points){
+  const cells = points.map(p => ({ x: Math.floor(p.x), y: Math.floor(p.y) }));
+  if(points.length >= 3){
+    const xs = points.map(p => p.x), ys = points.map(p => p.y);
+    for(let y = Math.floor(Math.min(...ys)); y <= Math.floor(Math.max(...ys)); y++){
+      for(let x = Math.floor(Math.min(...xs)); x <= Math.floor(Math.max(...xs)); x++){
+        if(insidePolygon(points, x + 0.5, y + 0.5)) cells.push({ x, y });
+      }
+    }
+  }
+  return regionOf('freehand', cells);
+}
+
+function insidePolygon(points, px, py){
+  let inside = false;
+  for(let i = 0, j = points.length - 1; i < points.length; j = i++){
+    const a = points[i], b = points[j];
+    if((a.y > py) !== (b.y > py) && px < (b.x - a.x) * (py - a.y) / (b.y - a.y) + a.x) inside = !inside;
+  }
+  return inside;
+}
+
+// The region without cells outside `world`.
+export function clipRegion(region, world){
+  return regionOf(region.kind, region.cells.filter(c => c.x >= 0 && c.y >= 0 && c.x < world.w && c.y < world.h));
+}
+
+export function regionKey(region){
+  return `${region.kind}:${region.cells.map(c => `${c.x},${c.y}`).join(';')}`;
+}
+
+function mergeActivity(into, entry){
+  if(!into){
+    return { ...entry, tiles: 1, sharedWith: [...(entry.sharedWith || [])], products: (entry.products || []).map(p => ({ ...p })), _lead: entry.extent || 0 };
+  }
+  for(const key of SUMMED) if(entry[key] !== undefined) into[key] = (into[key] || 0) + entry[key];
+  into.extent = Math.max(into.extent || 0, entry.extent || 0);
+  into.tiles++;
+  into.fizz = into.fizz || entry.fizz;
+  into.heat = into.heat || entry.heat;
+  for(const id of entry.sharedWith || []) if(!into.sharedWith.includes(id)) into.sharedWith.push(id);
+  for(const p of entry.products || []){
+    const existing = into.products.find(q => q.id === p.id);
+    if(existing) existing.qty = (existing.qty || 0) + (p.qty || 0); else into.products.push({ ...p });
+  }
+  // descriptive fields (limiter, share, catalysts, direction) follow the tile where it runs hardest
+  if((entry.extent || 0) > into._lead){
+    for(const key of ['limiter', 'share', 'catalysts', 'direction', 'equilibrium']) into[key] = entry[key];
+    into._lead = entry.extent || 0;
+  }
+  return into;
+}
+
+// Totals and statistics over the region's tiles in `world`, shaped like a tile (see above).
+export function aggregateRegion(world, region){
+  const agg = { count: 0, species: {}, gas: {}, solids: {}, temp: 0, pH: 0, pressure: 0, moisture: 0, current: 0, power: 0, range: {}, _activity: [], _transitions: [] };
+  for(const key of RANGED) agg.range[key] = { min: Infinity, mean: 0, max: -Infinity };
+  const activity = new Map(), transitions = new Map();
+  for(const { x, y } of region.cells){
+    const t = world.tile(x, y);
+    if(!t) continue;
+    agg.count++;
+    for(const bag of BAGS){
+      for(const [id, qty] of Object.entries(t[bag])) if(qty > 0) agg[bag][id] = (agg[bag][id] || 0) + qty;
+    }
+    for(const key of RANGED){
+      const v = t[key] || 0, r = agg.range[key];
+      r.min = Math.min(r.min, v); r.max = Math.max(r.max, v); r.mean += v;
+    }
+    agg.moisture += t.moisture || 0;
+    agg.current = Math.max(agg.current, t.current || 0);
+    agg.power += t.power || 0;
+    for(const entry of t._activity || []) if(entry) activity.set(entry.id, mergeActivity(activity.get(entry.id), entry));
+    for(const tr of t._transitions || []){
+      const key = `${tr.id}:${tr.kind}`, seen = transitions.get(key);
+      if(seen){ seen.amount += tr.amount; seen.complete = seen.complete && tr.complete; }
+      else transitions.set(key, { ...tr });
+    }
+  }
+  if(!agg.count) return agg;
+  for(const key of RANGED){ agg.range[key].mean /= agg.count; agg[key] = agg.range[key].mean; }
+  agg.moisture /= agg.count;
+  agg._activity = [...activity.values()].map(({ _lead, ...entry }) => entry);
+  agg._transitions = [...transitions.values()];
+  return agg;
+}
+
+// A history source for the region (see history.js): samples its aggregate, identified by `id`.
+export function createRegionSource(world, region, id = 'region'){
+  return { id, world, region, history: null, sample(){ return aggregateRegion(this.world, this.region); } };
+}
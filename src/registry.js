@@ -0,0 +1,57 @@
+// Minimal registries over the material and reaction packs.
+// The pack loader swaps their contents in place, so holders of a registry always see the merged set.
+
+import { createSpeciesIndex } from './species.js';
+
+// `onUnknown(id, where)` hears about ids that lenient callers met but no loaded pack defines.
+export function createMaterialRegistry(Materials, { onUnknown = null } = {}){
+  let index = null, indexFor = null;
+  const reported = new Set();
+  let reportedFor = null;
+  return {
+    materials: (Materials && Materials.materials) || Materials,
+    meta: (Materials && Materials.meta) || null,
+    // The species index over the current materials (see species.js).
+    get species(){
+      if(indexFor !== this.materials){ index = createSpeciesIndex(this.materials); indexFor = this.materials; }
+      return index;
+    },
+    // The material entry for a canonical id or alias, or null; for optional property reads.
+    get(id){
+      const key = this.species.tryCanonical(id);
+      return key === null ? null : this.materials[key];
+    },
+    has(id){ return this.species.has(id); },
+    // Strict lookups: these throw UnknownSpeciesError instead of guessing.
+    canonicalId(id){ return this.species.canonical(id); },
+    phaseOf(id){ return this.species.phaseOf(id); },
+    bagOf(id){ return this.species.bagOf(id); },
+    onUnknown,
+    // Called by passes that leave an unknown id where it is; reports each id once per material set.
+    reportUnknown(id, where){
+      if(reportedFor !== this.materials){ reported.clear(); reportedFor = this.materials; }
+      if(reported.has(id)) return;
+      reported.add(id);
+      this.onUnknown?.(id, where);
+    },
+    replace(materials, meta=this.meta){
+      this.materials = materials;
+      this.meta = meta;
+    }
+  };
+}
+
+export function createReactionRegistry(Reactions){
+  const registry = {
+    list: [],
+    byId: new Map(),
+    get(id){ return this.byId.get(id) || null; },
+    replace(list){
+      this.list.length = 0;
+      this.list.push(...list);
+      this.byId = new Map(this.list.map(rx => [rx.id, rx]));
+    }
+  };
+  registry.replace(Reactions || []);
+  return registry;
+}
@@ -0,0 +1,227 @@
+// Safety advisor: what is about to go wrong, read from material hazard data.
+//
+// Each material gets a hazard profile from its `flammability`, `ignition_C`, `toxicity`,
+// `corrosivity`, `hazardTags` and `statusHooks` (see `hazardProfile`). `assess(world)` then looks for:
+//   flammable   a flammable gas (H2) building up beside an oxidizer gas (O2), graded by how close the
+//               hottest tile around it is to the fuel's ignition_C, and by flames or sparks next to it
+//   toxic       a toxic gas (NO2) spreading, graded by its peak concentration; `spread` is the change
+//               in tiles reached over the last SPREAD_WINDOW_S of sim time
+//   pressure    tiles approaching the pressure pass's MAX_PRESSURE clamp
+//   incompatible  materials in neighbouring tiles that react badly once they mix (see INCOMPATIBLE)
+// Each warning is `{ key, kind, severity, x, y, cells, message, advice }`, where (x, y) is the worst
+// tile, `cells` every tile involved and `severity` one of SEVERITIES. Warnings come sorted worst first.
+
+import { MAX_PRESSURE } from './pressure.js';
+import { tileVolumeOf } from './units.js';
+
+export const SEVERITIES = ['caution', 'warning', 'danger'];
+
+const BAGS = ['species', 'solids', 'gas'];
+const NEIGHBORS = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+const PRESENT_MOL_L = 0.01;     // less than this does not count as "there"
+const FLAMMABLE_MOL_L = 0.05;   // fuel gas building up
+const TOXIC_LEVELS_MOL_L = [0.01, 0.1, 0.5];
+const PRESSURE_LEVELS = [0.6, 0.75, 0.9].map(f => f * MAX_PRESSURE);
+const IGNITION_MARGIN_C = [300, 100]; // within these of ignition_C: warning, then danger
+const WET_MOISTURE = 0.3;
+const SPREAD_WINDOW_S = 3;      // toxic spread is measured against the reach this long ago
+const CLASSES = ['waterReactive', 'water', 'oxidizer', 'fuel', 'acid', 'base', 'acidReactive'];
+
+// Pairs of hazard classes that should not meet, worst first.
+const INCOMPATIBLE = [
+  { a: 'waterReactive', b: 'water', severity: 'danger', verb: 'reacts violently with', advice: 'Keep water-reactive metals dry; move one of them before they touch.' },
+  { a: 'oxidizer', b: 'fuel', severity: 'warning', verb: 'feeds fire in', advice: 'Separate oxidizers from fuels, and keep heat away from both.' },
+  { a: 'acid', b: 'base', severity: 'warning', verb: 'neutralizes hot with', advice: 'Neutralize slowly: dilute first and add in small amounts.' },
+  { a: 'acid', b: 'acidReactive', severity: 'caution', verb: 'releases gas with', advice: 'Expect fizzing and pressure; leave room for the gas to escape.' }
+];
+
+const rank = (severity) => SEVERITIES.indexOf(severity);
+const worse = (a, b) => rank(a) >= rank(b) ? a : b;
+
+// The hazard classes of one material, from its data.
+export function hazardProfile(id, mat){
+  const tags = new Set(mat?.hazardTags || []);
+  const hooks = mat?.statusHooks || {};
+  const flammability = mat?.flammability;
+  return {
+    fuel: ['low', 'medium', 'high'].includes(flammability) && mat?.ignition_C !== undefined,
+    ignition: mat?.ignition_C ?? Infinity,
+    explosive: tags.has('explosive') || hooks.explosionPower > 0,
+    oxidizer: flammability === 'oxidizer' || tags.has('oxidizer'),
+    toxic: mat?.toxicity === 'high' || tags.has('toxic'),
+    waterReactive: flammability === 'reactive' || tags.has('water_reactive'),
+    water: id === 'H2O' || tags.has('wet') || hooks.wetnessMod > 0,
+    acid: mat?.corrosivity === 'acid' || tags.has('acid'),
+    base: mat?.corrosivity === 'base' || tags.has('base') || tags.has('alkali'),
+    acidReactive: tags.has('acid_reactive') || tags.has('gas_evolution_with_acid'),
+    spark: hooks.spark || 0
+  };
+}
+
+export function createSafetyAdvisor(materialRegistry){
+  const profiles = new Map();
+  let profilesFor = null;
+  let reachLog = []; // { t, reach: toxic gas id -> tiles reached }, oldest first
+
+  function profileOf(id){
+    if(profilesFor !== materialRegistry.materials){ profiles.clear(); profilesFor = materialRegistry.materials; }
+    let p = profiles.get(id);
+    if(!p){ p = hazardProfile(id, materialRegistry.get(id)); profiles.set(id, p); }
+    return p;
+  }
+
+  const nameOf = (id) => materialRegistry.get(id)?.displayName || id;
+
+  // Materials in `tile` above PRESENT_MOL_L passing `test(profile, bag)`, as { id, qty, bag }.
+  function present(tile, volume, test){
+    const out = [];
+    for(const bag of BAGS){
+      for(const [id, qty] of Object.entries(tile[bag] || {})){
+        if(qty / volume >= PRESENT_MOL_L && test(profileOf(id), bag)) out.push({ id, qty, bag });
+      }
+    }
+    return out;
+  }
+
+  function wet(tile, volume){
+    return (tile.moisture || 0) >= WET_MOISTURE || present(tile, volume, p => p.water).length > 0;
+  }
+
+  // Hazard class -> the first condensed material in `tile` that has it (gases mix on their own).
+  function classesOf(tile, volume){
+    const found = new Map();
+    for(const { id } of present(tile, volume, (p, bag) => bag !== 'gas')){
+      const p = profileOf(id);
+      for(const cls of CLASSES) if(p[cls] && !found.has(cls)) found.set(cls, id);
+    }
+    if(!found.has('water') && (tile.moisture || 0) >= WET_MOISTURE) found.set('water', 'H2O');
+    return found;
+  }
+
+  // Collects warnings of one kind and subject into a single entry, keeping the worst tile.
+  function collector(){
+    const found = new Map();
+    return {
+      add(key, fields, tile, severity, score = 0){
+        let w = found.get(key);
+        if(!w){ w = { key, ...fields, severity, x: tile.x, y: tile.y, cells: [], _score: -Infinity }; found.set(key, w); }
+        if(!w.cells.some(c => c.x === tile.x && c.y === tile.y)) w.cells.push({ x: tile.x, y: tile.y });
+        if(rank(severity) > rank(w.severity) || (severity === w.severity && score > w._score)){
+          w.severity = worse(severity, w.severity);
+          w.x = tile.x; w.y = tile.y; w._score = score;
+        }
+        return w;
+      },
+      list: () => [...found.values()]
+    };
+  }
+
+  function flammable(world, volume, out){
+    for(let y = 0; y < world.h; y++) for(let x = 0; x < world.w; x++){
+      const tile = world.grid[y][x];
+      const fuels = present(tile, volume, (p, bag) => bag === 'gas' && p.fuel).filter(f => f.qty / volume >= FLAMMABLE_MOL_L);
+      if(!fuels.length) continue;
+      const around = [tile, ...NEIGHBORS.map(([dx, dy]) => world.tile(x + dx, y + dy)).filter(Boolean)];
+      const oxidizers = around.flatMap(t => present(t, volume, (p, bag) => bag === 'gas' && p.oxidizer));
+      if(!oxidizers.length) continue;
+      const hottest = Math.max(...around.map(t => t.temp));
+      const flame = around.some(t => t.ignited);
+      const spark = around.some(t => wet(t, volume) && present(t, volume, p => p.spark > 0).length);
+      for(const fuel of fuels){
+        const margin = profileOf(fuel.id).ignition - hottest;
+        let severity = 'caution';
+        if(flame || spark || margin <= IGNITION_MARGIN_C[1]) severity = 'danger';
+        else if(margin <= IGNITION_MARGIN_C[0]) severity = 'warning';
+        const oxidizer = nameOf(oxidizers[0].id);
+        const cause = flame ? 'beside an open flame' : spark ? 'beside a sparking metal' : `${Math.max(0, margin).toFixed(0)}°C below ignition`;
+        const w = out.add(`flammable:${fuel.id}`, {
+          kind: 'flammable',
+          advice: `Keep flames, sparks and heat away, and vent the ${nameOf(fuel.id)} before it meets more ${oxidizer}.`
+        }, tile, severity, fuel.qty - margin);
+        const mix = profileOf(fuel.id).explosive ? 'Explosive' : 'Flammable';
+        if(w.x === x && w.y === y) w.message = `${mix} mix: ${nameOf(fuel.id)} building up next to ${oxidizer}, ${cause}`;
+      }
+    }
+  }
+
+  function toxic(world, volume, out){
+    const reach = new Map();
+    for(let y = 0; y < world.h; y++) for(let x = 0; x < world.w; x++){
+      const tile = world.grid[y][x];
+      for(const { id, qty } of present(tile, volume, (p, bag) => bag === 'gas' && p.toxic)){
+        const c = qty / volume;
+        const level = TOXIC_LEVELS_MOL_L.filter(l => c >= l).length;
+        if(!level) continue;
+        reach.set(id, (reach.get(id) || 0) + 1);
+        const w = out.add(`toxic:${id}`, { kind: 'toxic', subject: id, peak: 0, advice: 'Ventilate: add vent tiles or open space, and stop whatever is producing it.' }, tile, SEVERITIES[level - 1], c);
+        w.peak = Math.max(w.peak, c);
+      }
+    }
+    if(reachLog.length && world.time < reachLog[reachLog.length - 1].t) reachLog = [];
+    reachLog.push({ t: world.time, reach });
+    while(reachLog.length > 1 && world.time - reachLog[1].t >= SPREAD_WINDOW_S) reachLog.shift();
+    const before = reachLog[0].reach;
+    for(const w of out.list()){
+      if(w.kind !== 'toxic') continue;
+      const tiles = reach.get(w.subject) || 0;
+      w.spread = tiles - (before.get(w.subject) || 0);
+      w.message = `Toxic ${nameOf(w.subject)} ${w.spread > 0 ? 'spreading' : 'present'} over ${tiles} tile${tiles === 1 ? '' : 's'}, up to ${w.peak.toFixed(2)} mol/L`;
+    }
+  }
+
+  function pressure(world, out){
+    for(let y = 0; y < world.h; y++) for(let x = 0; x < world.w; x++){
+      const tile = world.grid[y][x];
+      const p = tile.pressure || 0;
+      const level = PRESSURE_LEVELS.filter(l => p >= l).length;
+      if(!level) continue;
+      const w = out.add('pressure', { kind: 'pressure', peak: 0, advice: 'Vent it or stop the gas-producing reaction; sealed spaces burst.' }, tile, SEVERITIES[level - 1], p);
+      w.peak = Math.max(w.peak, p);
+      w.message = `Pressure ${w.peak.toFixed(1)} of ${MAX_PRESSURE} maximum`;
+    }
+  }
+
+  function incompatible(world, volume, out){
+    const classes = world.grid.map(row => row.map(tile => classesOf(tile, volume)));
+    for(let y = 0; y < world.h; y++) for(let x = 0; x < world.w; x++){
+      for(const [dx, dy] of [[1, 0], [0, 1]]){
+        const other = world.tile(x + dx, y + dy);
+        if(!other) continue;
+        for(const rule of INCOMPATIBLE){
+          for(const [p, q] of [[world.grid[y][x], other], [other, world.grid[y][x]]]){
+            const cp = classes[p.y][p.x], cq = classes[q.y][q.x];
+            // only across the boundary: what already shares a tile is reacting, not about to
+            if(!cp.has(rule.a) || cp.has(rule.b) || !cq.has(rule.b) || cq.has(rule.a)) continue;
+            const a = cp.get(rule.a), b = cq.get(rule.b);
+            const w = out.add(`incompatible:${rule.a}:${rule.b}:${a}:${b}`, {
+              kind: 'incompatible',
+              message: `${nameOf(a)} ${rule.verb} ${nameOf(b)} next to it`,
+              advice: rule.advice
+            }, p, rule.severity);
+            if(!w.cells.some(c => c.x === q.x && c.y === q.y)) w.cells.push({ x: q.x, y: q.y });
+          }
+        }
+      }
+    }
+  }
+
+  // Every current warning in `world`, worst first.
+  function assess(world){
+    const volume = tileVolumeOf(world);
+    const out = collector();
+    flammable(world, volume, out);
+    toxic(world, volume, out);
+    pressure(world, out);
+    incompatible(world, volume, out);
+    return out.list()
+      .map(({ _score, ...w }) => w)
+      .sort((a, b) => rank(b.severity) - rank(a.severity) || b.cells.length - a.cells.length);
+  }
+
+  // Forgets toxic reach, so the next assessment does not report spread against another world.
+  function reset(){
+    reachLog = [];
+  }
+
+  return { profileOf, assess, reset };
+}
@@ -0,0 +1,54 @@
+// Safety panel: the advisor's warnings (see safety.js), worst first, each with what to do about it.
+// Clicking a warning hands it to `onSelect`, which the page uses to inspect its worst tile.
+
+import { SEVERITIES } from './safety.js';
+
+function escapeText(text){
+  return String(text).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+}
+
+export class SafetyPanelComponent {
+  constructor(container, { onSelect } = {}){
+    this.container = container;
+    this.onSelect = onSelect || null;
+    this.shown = [];
+    this.lastSig = '';
+    this._build();
+  }
+
+  _build(){
+    this.container.innerHTML = '';
+    const heading = document.createElement('h4');
+    heading.textContent = 'Safety';
+    this.container.appendChild(heading);
+    this.summary = document.createElement('div');
+    this.summary.className = 'safety-summary muted';
+    this.container.appendChild(this.summary);
+    this.list = document.createElement('div');
+    this.list.className = 'safety-list';
+    this.list.onclick = (event) => {
+      const row = event.target?.closest?.('[data-key]');
+      const warning = row && this.shown.find(w => w.key === row.dataset.key);
+      if(warning) this.onSelect?.(warning);
+    };
+    this.container.appendChild(this.list);
+  }
+
+  render(warnings){
+    const sig = warnings.map(w => `${w.key}:${w.severity}:${w.x},${w.y}:${w.cells.length}:${w.message}`).join('|');
+    if(sig === this.lastSig) return;
+    this.lastSig = sig;
+    this.shown = warnings;
+    const counts = SEVERITIES.map(s => [s, warnings.filter(w => w.severity === s).length]).filter(([, n]) => n).reverse();
+    this.summary.textContent = counts.length ? counts.map(([s, n]) => `${n} ${s}`).join(' · ') : 'No hazards spotted';
+    this.list.innerHTML = warnings.map(w => `
+      <div class="safety-row ${w.severity}" data-key="${escapeText(w.key)}" title="Inspect (${w.x},${w.y})">
+        <span class="safety-level">${w.severity}</span>
+        <div>
+          <div>${escapeText(w.message)}${w.cells.length > 1 ? ` <span class="muted">(${w.cells.length} tiles)</span>` : ''}</div>
+          <div class="muted">${escapeText(w.advice)}</div>
+        </div>
+      </div>
+    `).join('');
+  }
+}
@@ -0,0 +1,48 @@
+// Fair allocation of shared reactants between reactions competing on the same tile.
+//
+// Each request says how much of each resource it wants this tick; resources are opaque keys
+// (the reactor uses `bag:species`). Higher `priority` groups are served first; within a group,
+// a scarce resource is split in proportion to demand. Returns a 0..1 scale per request and, for
+// requests cut back by competition, which resource was contested and who else wanted it.
+
+const EPS = 1e-12;
+
+export function allocateShared(requests, availableOf){
+  const scales = requests.map(() => 1);
+  const contention = requests.map(() => null);
+  const remaining = new Map();
+  const left = (key) => remaining.has(key) ? remaining.get(key) : availableOf(key);
+  const priorities = [...new Set(requests.map(r => r.priority || 0))].sort((a,b) => b - a);
+  for(const priority of priorities){
+    const group = [];
+    requests.forEach((r, i) => { if((r.priority || 0) === priority) group.push(i); });
+    const demand = new Map();
+    for(const i of group){
+      for(const [key, qty] of Object.entries(requests[i].consumes)){
+        if(qty > 0) demand.set(key, (demand.get(key) || 0) + qty);
+      }
+    }
+    const fraction = new Map();
+    for(const [key, want] of demand){
+      const have = Math.max(0, left(key));
+      fraction.set(key, want > have * (1 + EPS) + EPS ? have / want : 1);
+    }
+    for(const i of group){
+      let scale = 1, contested = null;
+      for(const [key, qty] of Object.entries(requests[i].consumes)){
+        if(qty > 0 && fraction.get(key) < scale){ scale = fraction.get(key); contested = key; }
+      }
+      scales[i] = scale;
+      if(contested){
+        const rivals = requests.filter((r, j) => j !== i && (r.consumes[contested] || 0) > 0).map(r => r.id);
+        contention[i] = { key: contested, with: rivals };
+      }
+    }
+    for(const i of group){
+      for(const [key, qty] of Object.entries(requests[i].consumes)){
+        if(qty > 0) remaining.set(key, Math.max(0, left(key) - qty * scales[i]));
+      }
+    }
+  }
+  return { scales, contention };
+}
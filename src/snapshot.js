@@ -0,0 +1,276 @@
+// Versioned world snapshots: JSON files, localStorage slots and shareable URL hashes.
+
+import { isTileKind } from './tileKinds.js';
+
+export const SNAPSHOT_FORMAT = 'chem-sim/world';
+export const SNAPSHOT_VERSION = 1;
+
+const SLOT_PREFIX = 'chem-sim:slot:';
+const HASH_KEY = 'world=';
+const BAGS = ['species', 'solids', 'gas', 'surfaceFactor', 'catalystWear'];
+const SPECIES_BAGS = ['species', 'solids', 'gas'];
+const SCALARS = ['temp', 'pH', 'moisture', 'oxygen', 'pressure', 'overpressure', 'insulation'];
+const DEFAULTS = { temp: 20, pH: 7, moisture: 0, oxygen: 0.21, pressure: 0, overpressure: 0, insulation: 0 };
+
+// Short keys for the URL-hash encoding; order matters only for readability.
+const COMPACT_KEYS = {
+  species: 's', solids: 'so', gas: 'g', surfaceFactor: 'sf', catalystWear: 'cw',
+  temp: 'T', pH: 'p', moisture: 'm', oxygen: 'o', pressure: 'P', overpressure: 'op', insulation: 'in', ignited: 'i',
+  kind: 'k', source: 'src', electrode: 'el'
+};
+
+// Upgraders keyed by the version they read; each returns the next version's shape.
+const MIGRATIONS = {};
+
+function copyBag(bag){
+  const out = {};
+  for(const [id, qty] of Object.entries(bag || {})){
+    if(typeof qty === 'number' && isFinite(qty) && qty !== 0) out[id] = qty;
+  }
+  return out;
+}
+
+function serializeTile(tile){
+  const rec = {};
+  for(const bag of BAGS) rec[bag] = copyBag(tile[bag]);
+  for(const key of SCALARS) rec[key] = tile[key] ?? DEFAULTS[key];
+  rec.ignited = !!tile.ignited;
+  rec.kind = tile.kind || 'open';
+  rec.source = tile.source ? { id: tile.source.id, rate: tile.source.rate } : null;
+  rec.electrode = tile.electrode ? { voltage: tile.electrode.voltage } : null;
+  return rec;
+}
+
+export function serializeWorld(world, { focus = null } = {}){
+  const tiles = [];
+  for(let y=0;y<world.h;y++) for(let x=0;x<world.w;x++) tiles.push(serializeTile(world.grid[y][x]));
+  return {
+    format: SNAPSHOT_FORMAT,
+    version: SNAPSHOT_VERSION,
+    w: world.w,
+    h: world.h,
+    tileVolume: world.tileVolume ?? null,
+    focus: focus ? { x: focus.x, y: focus.y } : null,
+    tiles
+  };
+}
+
+function migrate(snapshot){
+  let snap = snapshot;
+  while(snap.version < SNAPSHOT_VERSION){
+    const upgrade = MIGRATIONS[snap.version];
+    if(!upgrade) throw new Error(`Cannot upgrade snapshot from version ${snap.version}`);
+    snap = upgrade(snap);
+  }
+  return snap;
+}
+
+function checkNumber(value, where){
+  if(typeof value !== 'number' || !isFinite(value)) throw new Error(`Snapshot ${where} must be a finite number`);
+}
+
+// Rewrites the species ids of a serialized tile to canonical ids, merging amounts saved under
+// aliases; ids no loaded pack defines are rejected, since the sim cannot place them.
+function canonicalTile(rec, i, materialRegistry){
+  const known = (id, where) => {
+    if(!materialRegistry.has(id)) throw new Error(`Snapshot tile ${i} ${where} names unknown species "${id}"`);
+    return materialRegistry.canonicalId(id);
+  };
+  for(const bag of SPECIES_BAGS){
+    const out = {};
+    for(const [id, qty] of Object.entries(rec[bag])){ const key = known(id, bag); out[key] = (out[key] || 0) + qty; }
+    rec[bag] = out;
+  }
+  if(rec.source) rec.source.id = known(rec.source.id, 'source');
+  return rec;
+}
+
+// With a `materialRegistry`, species ids are also canonicalized and unknown ones rejected.
+export function parseSnapshot(input, { materialRegistry = null } = {}){
+  let snap = input;
+  if(typeof input === 'string'){
+    try { snap = JSON.parse(input); }
+    catch (err) { throw new Error(`Snapshot is not valid JSON: ${err.message}`); }
+  }
+  if(!snap || typeof snap !== 'object') throw new Error('Snapshot must be an object');
+  if(snap.format !== SNAPSHOT_FORMAT) throw new Error(`Unknown snapshot format "${snap.format}"`);
+  if(!Number.isInteger(snap.version) || snap.version < 1) throw new Error('Snapshot version is missing');
+  if(snap.version > SNAPSHOT_VERSION){
+    throw new Error(`Snapshot version ${snap.version} is newer than supported version ${SNAPSHOT_VERSION}`);
+  }
+  snap = migrate(snap);
+  if(!Number.isInteger(snap.w) || !Number.isInteger(snap.h) || snap.w < 1 || snap.h < 1){
+    throw new Error('Snapshot dimensions are invalid');
+  }
+  if(snap.tileVolume != null && !(typeof snap.tileVolume === 'number' && snap.tileVolume > 0 && isFinite(snap.tileVolume))){
+    throw new Error('Snapshot tileVolume must be a positive number');
+  }
+  if(!Array.isArray(snap.tiles) || snap.tiles.length !== snap.w * snap.h){
+    throw new Error(`Snapshot must contain ${snap.w * snap.h} tiles`);
+  }
+  snap.tiles.forEach((rec, i) => {
+    if(!rec || typeof rec !== 'object') throw new Error(`Snapshot tile ${i} is not an object`);
+    for(const key of SCALARS) checkNumber(rec[key] ?? DEFAULTS[key], `tile ${i} ${key}`);
+    for(const bag of BAGS){
+      for(const [id, qty] of Object.entries(rec[bag] || {})) checkNumber(qty, `tile ${i} ${bag}.${id}`);
+    }
+    if(rec.kind !== undefined && !isTileKind(rec.kind)) throw new Error(`Snapshot tile ${i} has unknown kind "${rec.kind}"`);
+    if(rec.source){
+      if(typeof rec.source.id !== 'string') throw new Error(`Snapshot tile ${i} source needs a species id`);
+      checkNumber(rec.source.rate, `tile ${i} source.rate`);
+    }
+    if(rec.electrode) checkNumber(rec.electrode.voltage, `tile ${i} electrode.voltage`);
+  });
+  return {
+    format: SNAPSHOT_FORMAT,
+    version: snap.version,
+    w: snap.w,
+    h: snap.h,
+    tileVolume: snap.tileVolume ?? null,
+    focus: snap.focus ? { x: snap.focus.x, y: snap.focus.y } : null,
+    tiles: snap.tiles.map((rec, i) => materialRegistry ? canonicalTile(serializeTile(rec), i, materialRegistry) : serializeTile(rec))
+  };
+}
+
+// Replaces every tile in `world` with a fresh one from `createTile(x, y)` populated from the snapshot,
+// and restarts the world's clock. Pass the `materialRegistry` so only species it defines get in.
+export function restoreWorld(world, input, createTile, { materialRegistry = null } = {}){
+  const snap = parseSnapshot(input, { materialRegistry });
+  if(snap.w !== world.w || snap.h !== world.h){
+    throw new Error(`Snapshot is ${snap.w}×${snap.h} but the world is ${world.w}×${world.h}`);
+  }
+  for(let y=0;y<world.h;y++) for(let x=0;x<world.w;x++){
+    const rec = snap.tiles[y * world.w + x];
+    const tile = createTile(x, y);
+    for(const bag of BAGS) tile[bag] = copyBag(rec[bag]);
+    for(const key of SCALARS) tile[key] = rec[key] ?? DEFAULTS[key];
+    tile.ignited = !!rec.ignited;
+    tile.kind = rec.kind;
+    tile.source = rec.source ? { ...rec.source } : null;
+    tile.electrode = rec.electrode ? { ...rec.electrode } : null;
+    world.grid[y][x] = tile;
+  }
+  if(snap.tileVolume != null) world.tileVolume = snap.tileVolume;
+  world.ticks = 0;
+  world._accumulator = 0;
+  world.shockwaves = [];
+  const focus = snap.focus && world.tile(snap.focus.x, snap.focus.y) ? { x: snap.focus.x, y: snap.focus.y } : null;
+  return { focus };
+}
+
+// --- URL hash: sparse, short-keyed JSON in base64url ---
+function toBase64Url(text){
+  const bytes = new TextEncoder().encode(text);
+  let bin = '';
+  for(const b of bytes) bin += String.fromCharCode(b);
+  return btoa(bin).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text){
+  const b64 = text.replace(/-/g, '+').replace(/_/g, '/');
+  const bin = atob(b64 + '='.repeat((4 - b64.length % 4) % 4));
+  return new TextDecoder().decode(Uint8Array.from(bin, c => c.charCodeAt(0)));
+}
+
+export function encodeSnapshotHash(snapshot){
+  const snap = parseSnapshot(snapshot);
+  const tiles = [];
+  snap.tiles.forEach((rec, i) => {
+    const out = {};
+    for(const bag of BAGS){
+      const entries = copyBag(rec[bag]);
+      if(Object.keys(entries).length) out[COMPACT_KEYS[bag]] = entries;
+    }
+    for(const key of SCALARS){
+      const value = rec[key] ?? DEFAULTS[key];
+      if(value !== DEFAULTS[key]) out[COMPACT_KEYS[key]] = value;
+    }
+    if(rec.ignited) out[COMPACT_KEYS.ignited] = 1;
+    if(rec.kind !== 'open') out[COMPACT_KEYS.kind] = rec.kind;
+    if(rec.source) out[COMPACT_KEYS.source] = rec.source;
+    if(rec.electrode) out[COMPACT_KEYS.electrode] = rec.electrode;
+    if(Object.keys(out).length) tiles.push([i, out]);
+  });
+  const compact = { v: snap.version, w: snap.w, h: snap.h, t: tiles };
+  if(snap.focus) compact.f = [snap.focus.x, snap.focus.y];
+  if(snap.tileVolume != null) compact.tv = snap.tileVolume;
+  return HASH_KEY + toBase64Url(JSON.stringify(compact));
+}
+
+export function hasSnapshotHash(hash){
+  return String(hash || '').replace(/^#/, '').startsWith(HASH_KEY);
+}
+
+export function decodeSnapshotHash(hash){
+  const raw = String(hash || '').replace(/^#/, '');
+  if(!raw.startsWith(HASH_KEY)) throw new Error('Link does not contain a world snapshot');
+  let compact;
+  try { compact = JSON.parse(fromBase64Url(raw.slice(HASH_KEY.length))); }
+  catch (err) { throw new Error('World link is corrupted or truncated'); }
+  const { v, w, h, t = [], f, tv } = compact || {};
+  if(!Number.isInteger(w) || !Number.isInteger(h) || w < 1 || h < 1) throw new Error('World link has invalid dimensions');
+  const tiles = Array.from({ length: w * h }, () => ({}));
+  for(const [i, rec] of t){
+    if(!tiles[i]) throw new Error(`World link references tile ${i} outside the grid`);
+    for(const [key, short] of Object.entries(COMPACT_KEYS)){
+      if(rec[short] === undefined) continue;
+      tiles[i][key] = key === 'ignited' ? !!rec[short] : rec[short];
+    }
+  }
+  return parseSnapshot({
+    format: SNAPSHOT_FORMAT,
+    version: v,
+    w, h,
+    tileVolume: tv ?? null,
+    focus: Array.isArray(f) ? { x: f[0], y: f[1] } : null,
+    tiles
+  });
+}
+
+// --- localStorage save slots ---
+export function saveSlot(name, snapshot, storage = globalThis.localStorage){
+  if(!name) throw new Error('Save slot needs a name');
+  storage.setItem(SLOT_PREFIX + name, JSON.stringify({ savedAt: Date.now(), snapshot }));
+}
+
+export function loadSlot(name, storage = globalThis.localStorage){
+  const raw = storage.getItem(SLOT_PREFIX + name);
+  if(raw == null) throw new Error(`No save slot named "${name}"`);
+  let entry;
+  try { entry = JSON.parse(raw); }
+  catch (err) { throw new Error(`Save slot "${name}" is corrupted`); }
+  return parseSnapshot(entry.snapshot);
+}
+
+export function listSlots(storage = globalThis.localStorage){
+  const slots = [];
+  for(let i=0;i<storage.length;i++){
+    const key = storage.key(i);
+    if(!key || !key.startsWith(SLOT_PREFIX)) continue;
+    let savedAt = 0;
+    try { savedAt = JSON.parse(storage.getItem(key)).savedAt || 0; } catch (err) { /* listed anyway */ }
+    slots.push({ name: key.slice(SLOT_PREFIX.length), savedAt });
+  }
+  return slots.sort((a,b) => b.savedAt - a.savedAt);
+}
+
+export function deleteSlot(name, storage = globalThis.localStorage){
+  storage.removeItem(SLOT_PREFIX + name);
+}
+
+// --- Files ---
+export function downloadSnapshot(snapshot, filename = 'chem-sim-world.json'){
+  const blob = new Blob([JSON.stringify(snapshot, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+export async function readSnapshotFile(file){
+  return parseSnapshot(await file.text());
+}
@@ -0,0 +1,117 @@
+// Dissolution and precipitation from each material's solubility.
+//
+// A material with a `solubility` block keeps its undissolved form in `solids` and its dissolved
+// form in `species`, under the same id. The block gives the saturation concentration at refTemp_C
+// (default 20 °C) in one of two ways:
+//   g_L       grams per litre of water, converted with the molar mass of the material's formula
+//   Ksp, ions solubility product and the ion counts per formula unit (AgCl [1, 1], PbI2 [1, 2]),
+//             so s = (Ksp / Π νᵢ^νᵢ)^(1/Σνᵢ)
+// plus an optional `deltaH_kJ_per_mol` (heat of solution): endothermic solids (ΔH > 0, KNO3) get
+// more soluble as the tile heats, exothermic ones (Ca(OH)2) less. Concentrations are taken against
+// the litres of water in the tile: liquid solvents through their molar mass and density (see
+// units.js) plus its moisture, as the pH pass counts them. Each tick a solid dissolves toward
+// saturation and a supersaturated solution precipitates its excess; a tile without water dissolves
+// nothing, and drying out a solution leaves its solute behind. Above its melting point a material
+// is left to the phase-change pass.
+
+import { GAS_CONSTANT } from './kinetics.js';
+import { MOISTURE_VOLUME } from './acidbase.js';
+import { recordTransition } from './phaseChange.js';
+import { kindOf } from './tileKinds.js';
+import { materialMolarMass } from './formula.js';
+import { createUnits, tileVolumeOf } from './units.js';
+
+const DEFAULT_REF_TEMP_C = 20;
+const DISSOLVE_RATE = 1;     // 1/s; share of the remaining headroom dissolved per second
+const PRECIPITATE_RATE = 4;  // 1/s; share of the excess that crystallizes per second
+const TRACE = 1e-9;
+
+// Saturation concentration (mol per litre of water) at refTemp_C; 0 when the block is unusable.
+export function saturationOf(id, mat){
+  const sol = mat?.solubility;
+  if(!sol) return 0;
+  if(sol.g_L !== undefined){ const M = materialMolarMass(id, mat); return M ? sol.g_L / M : 0; }
+  if(sol.Ksp !== undefined && sol.ions?.length){
+    let product = 1, total = 0;
+    for(const n of sol.ions){ product *= Math.pow(n, n); total += n; }
+    return Math.pow(sol.Ksp / product, 1 / total);
+  }
+  return 0;
+}
+
+export function createSolubilityPass(materialRegistry){
+  const info = new Map();
+  let infoFor = null;
+  const soluble = [];
+  const units = createUnits(materialRegistry);
+
+  function infoOf(id){
+    if(infoFor !== materialRegistry.materials){ info.clear(); infoFor = materialRegistry.materials; }
+    let p = info.get(id);
+    if(p === undefined){
+      const mat = materialRegistry.get(id);
+      const sat = saturationOf(id, mat);
+      p = mat?.solubility ? {
+        sat,
+        dH: (mat.solubility.deltaH_kJ_per_mol || 0) * 1000,
+        refK: (mat.solubility.refTemp_C ?? DEFAULT_REF_TEMP_C) + 273.15,
+        melting: mat.melting_C ?? Infinity,
+        solvent: false
+      } : { solvent: mat?.phaseSTP === 'l' };
+      info.set(id, p);
+    }
+    return p;
+  }
+
+  function saturationAt(p, tempC){
+    if(!p.dH) return p.sat;
+    const T = Math.max(1, tempC + 273.15);
+    return p.sat * Math.exp(-p.dH / GAS_CONSTANT * (1 / T - 1 / p.refK));
+  }
+
+  // Litres of water in `tile`, a control volume of `tileVolume` litres.
+  function waterOf(tile, tileVolume){
+    let water = Math.max(0, tile.moisture || 0) * MOISTURE_VOLUME * tileVolume;
+    for(const [id, qty] of Object.entries(tile.species)){
+      if(qty > 0 && infoOf(id).solvent) water += units.litresOf(id, qty) || 0;
+    }
+    return water;
+  }
+
+  function settle(tile, dt, tileVolume){
+    soluble.length = 0;
+    for(const id of Object.keys(tile.solids)) if(infoOf(id).sat !== undefined) soluble.push(id);
+    for(const id of Object.keys(tile.species)) if(infoOf(id).sat !== undefined && !(id in tile.solids)) soluble.push(id);
+    if(!soluble.length) return;
+    const water = waterOf(tile, tileVolume);
+    for(const id of soluble){
+      const p = infoOf(id);
+      if(tile.temp >= p.melting) continue; // molten, not dissolved: the phase-change pass owns it
+      const cap = saturationAt(p, tile.temp) * water;
+      const dissolved = tile.species[id] || 0, solid = tile.solids[id] || 0;
+      if(dissolved > cap){
+        const amount = (dissolved - cap) * Math.min(1, PRECIPITATE_RATE * dt);
+        if(!(amount > TRACE)) continue;
+        const left = dissolved - amount;
+        if(left > TRACE) tile.species[id] = left; else delete tile.species[id];
+        tile.solids[id] = solid + amount;
+        recordTransition(tile, id, 'precipitated', amount, false);
+      } else if(solid > 0){
+        const amount = Math.min(solid, (cap - dissolved) * Math.min(1, DISSOLVE_RATE * dt));
+        if(!(amount > TRACE)) continue;
+        const left = solid - amount;
+        if(left > TRACE) tile.solids[id] = left; else delete tile.solids[id];
+        tile.species[id] = dissolved + amount;
+        recordTransition(tile, id, 'dissolved', amount, !(left > TRACE));
+      }
+    }
+  }
+
+  return function solubilityPass(world, dt){
+    const tileVolume = tileVolumeOf(world);
+    for(let y=0;y<world.h;y++) for(let x=0;x<world.w;x++){
+      const t = world.grid[y][x];
+      if(kindOf(t).holds) settle(t, dt, tileVolume);
+    }
+  };
+}
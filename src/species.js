@@ -0,0 +1,67 @@
+// Species identity: canonical ids, declared aliases and the phase each species lives in.
+//
+// A material's key in the merged material map is its canonical id, the only id that appears in
+// tile bags, reactions and snapshots. A material may list other spellings under `aliases`
+// (`"H2O": { "aliases": ["H2O(l)"] }`); the pack loader rewrites reactions and form references to
+// canonical ids, so lookups at runtime are exact. Every material declares its phase in `phaseSTP`,
+// and asking for the id or phase of something no loaded pack defines throws UnknownSpeciesError.
+// Ids are checked where they enter the world (painting, source tiles, snapshot import, pack
+// unload); the per-tick passes leave anything else they meet where it is rather than throw, and
+// report it once through the material registry's `onUnknown`.
+
+export const PHASES = ['aq', 'l', 's', 'g'];
+export const BAG_OF_PHASE = { aq: 'species', l: 'species', s: 'solids', g: 'gas' };
+
+export class UnknownSpeciesError extends Error {
+  constructor(id){
+    super(`Unknown species "${id}" (not defined by any loaded pack)`);
+    this.name = 'UnknownSpeciesError';
+    this.speciesId = id;
+  }
+}
+
+// Indexes `materials` (canonical id -> entry). `conflicts` lists aliases that name an existing id
+// or are claimed by two materials; the first claim wins until the pack loader rejects the pack.
+export function createSpeciesIndex(materials){
+  const canonicalOf = new Map();
+  const aliases = new Map();
+  const conflicts = [];
+  for(const id of Object.keys(materials || {})) canonicalOf.set(id, id);
+  for(const [id, mat] of Object.entries(materials || {})){
+    const own = [];
+    for(const alias of (Array.isArray(mat?.aliases) ? mat.aliases : [])){
+      const taken = canonicalOf.get(alias);
+      if(taken !== undefined){
+        if(taken !== id) conflicts.push({ id, alias, owner: taken });
+        continue;
+      }
+      canonicalOf.set(alias, id);
+      own.push(alias);
+    }
+    aliases.set(id, own);
+  }
+
+  function tryCanonical(id){
+    return canonicalOf.get(id) ?? null;
+  }
+
+  function canonical(id){
+    const found = canonicalOf.get(id);
+    if(found === undefined) throw new UnknownSpeciesError(id);
+    return found;
+  }
+
+  function phaseOf(id){
+    return materials[canonical(id)].phaseSTP;
+  }
+
+  return {
+    conflicts,
+    has: (id) => canonicalOf.has(id),
+    tryCanonical,
+    canonical,
+    phaseOf,
+    bagOf: (id) => BAG_OF_PHASE[phaseOf(id)],
+    aliasesOf: (id) => aliases.get(canonical(id)) || []
+  };
+}
@@ -0,0 +1,126 @@
+// Heat conduction between neighbouring tiles, plus ambient cooling at the world boundary.
+//
+// Each tile's heat capacity is an air baseline for its volume plus Σ amount · molar heat capacity of
+// its contents (`heatCapacity_J_molK`, or a per-phase default). Its conductivity is the
+// amount-weighted mean of the contents' `thermalConductivity_W_mK`, blended with air and scaled down
+// by the tile's `insulation` (0 = bare, 1 = perfect insulator). Neighbours exchange heat through the
+// harmonic mean of their conductivities, so one insulating tile is enough to cut a path. On a bench
+// of fixed depth an edge's conductance does not depend on tile size while heat capacity goes with
+// tile volume, so smaller tiles even out faster by themselves. `boundaryLoss` goes with the length
+// of a tile's exposed edge and `surfaceLoss` with its area.
+
+import { DEFAULT_TILE_VOLUME_L, tileVolumeOf } from './units.js';
+
+export const AMBIENT_TEMP_C = 20;
+
+const AIR = { heatCapacity: 5, conductivity: 0.026, weight: 0.5 }; // per default-sized tile
+const PHASE_DEFAULTS = {
+  g: { heatCapacity: 29, conductivity: 0.025 },
+  l: { heatCapacity: 75, conductivity: 0.6 },
+  aq: { heatCapacity: 75, conductivity: 0.55 },
+  s: { heatCapacity: 25, conductivity: 1.0 }
+};
+const BAG_PHASE = { species: 'aq', solids: 's', gas: 'g' };
+
+// Per-material thermal properties and tile heat capacity, shared with the phase-change pass.
+export function createHeatModel(materialRegistry){
+  const props = new Map();
+  let propsFor = null;
+
+  function propsOf(id, bag){
+    if(propsFor !== materialRegistry.materials){ props.clear(); propsFor = materialRegistry.materials; }
+    const key = `${bag}:${id}`;
+    let p = props.get(key);
+    if(!p){
+      const mat = materialRegistry.get(id);
+      const phase = bag === 'species' ? (mat?.phaseSTP === 'l' ? 'l' : 'aq') : BAG_PHASE[bag];
+      const fallback = PHASE_DEFAULTS[phase];
+      p = {
+        heatCapacity: mat?.heatCapacity_J_molK ?? fallback.heatCapacity,
+        conductivity: mat?.thermalConductivity_W_mK ?? fallback.conductivity
+      };
+      props.set(key, p);
+    }
+    return p;
+  }
+
+  // J/K of `tile`, a control volume of `volume` litres.
+  function heatCapacityOf(tile, volume = DEFAULT_TILE_VOLUME_L){
+    let cap = AIR.heatCapacity * volume / DEFAULT_TILE_VOLUME_L;
+    for(const bag of ['species', 'solids', 'gas']){
+      for(const [id, qty] of Object.entries(tile[bag])){
+        if(qty > 0) cap += qty * propsOf(id, bag).heatCapacity;
+      }
+    }
+    return cap;
+  }
+
+  return { propsOf, heatCapacityOf };
+}
+
+export function createThermalPass(materialRegistry, {
+  ambient = AMBIENT_TEMP_C,
+  conductance = 20,     // W/K exchanged per W/(m·K) of shared conductivity
+  boundaryLoss = 1,     // fraction of that conductance lost per exposed edge to the ambient
+  surfaceLoss = 0       // optional loss from every tile to the air above it
+} = {}){
+  const { propsOf } = createHeatModel(materialRegistry);
+  let C = null, K = null, dE = null;
+  let air = 1; // the world's tile volume in default tiles, set each pass
+
+  function measure(tile, i){
+    let cap = AIR.heatCapacity * air, kSum = AIR.conductivity * AIR.weight * air, wSum = AIR.weight * air;
+    for(const bag of ['species', 'solids', 'gas']){
+      for(const [id, qty] of Object.entries(tile[bag])){
+        if(!(qty > 0)) continue;
+        const p = propsOf(id, bag);
+        cap += qty * p.heatCapacity;
+        kSum += qty * p.conductivity;
+        wSum += qty;
+      }
+    }
+    C[i] = cap;
+    K[i] = (kSum / wSum) * (1 - Math.max(0, Math.min(1, tile.insulation || 0)));
+  }
+
+  // Heat moved between two bodies in one step, capped so neither overshoots the other.
+  function exchange(Ta, Tb, Ca, Cb, G, dt){
+    const q = G * (Ta - Tb) * dt;
+    const reduced = isFinite(Cb) ? (Ca * Cb) / (Ca + Cb) : Ca;
+    const cap = 0.2 * (Ta - Tb) * reduced;
+    return Ta > Tb ? Math.min(q, cap) : Math.max(q, cap);
+  }
+
+  function conductStep(world, dt){
+    const w = world.w, h = world.h;
+    dE.fill(0);
+    for(let y=0;y<h;y++) for(let x=0;x<w;x++){
+      const i = y*w+x; const t = world.grid[y][x];
+      if(x+1 < w){
+        const j = i+1; const kk = K[i] + K[j];
+        if(kk > 0){ const q = exchange(t.temp, world.grid[y][x+1].temp, C[i], C[j], conductance * 2 * K[i] * K[j] / kk, dt); dE[i] -= q; dE[j] += q; }
+      }
+      if(y+1 < h){
+        const j = i+w; const kk = K[i] + K[j];
+        if(kk > 0){ const q = exchange(t.temp, world.grid[y+1][x].temp, C[i], C[j], conductance * 2 * K[i] * K[j] / kk, dt); dE[i] -= q; dE[j] += q; }
+      }
+      const edges = (x === 0) + (x === w-1) + (y === 0) + (y === h-1);
+      const loss = edges * boundaryLoss * Math.sqrt(air) + surfaceLoss * air;
+      if(loss > 0) dE[i] -= exchange(t.temp, ambient, C[i], Infinity, conductance * K[i] * loss, dt);
+    }
+    for(let y=0;y<h;y++) for(let x=0;x<w;x++){
+      const i = y*w+x;
+      if(dE[i]) world.grid[y][x].temp += dE[i] / C[i];
+    }
+  }
+
+  return function conductHeat(world, dt){
+    const w = world.w, h = world.h, n = w * h;
+    if(!C || C.length !== n){ C = new Float64Array(n); K = new Float64Array(n); dE = new Float64Array(n); }
+    air = tileVolumeOf(world) / DEFAULT_TILE_VOLUME_L;
+    for(let y=0;y<h;y++) for(let x=0;x<w;x++) measure(world.grid[y][x], y*w+x);
+    // the per-step cap in `exchange` is for default-sized tiles; smaller ones take proportionally more steps
+    const steps = Math.max(1, Math.ceil(1 / air - 1e-9));
+    for(let s=0;s<steps;s++) conductStep(world, dt / steps);
+  };
+}
@@ -0,0 +1,68 @@
+// Tile kinds: what a cell of the grid is made of, as opposed to what it holds.
+//
+//   open    the default; contents move and react freely
+//   wall    impermeable glass; holds nothing, nothing reacts in it, nothing crosses it, and tiles it
+//           closes off from the world edge are a sealed chamber with no open top (see pressure.js)
+//   porous  a frit or membrane; contents cross it at a fraction of the normal rate
+//   vent    a fume-hood inlet; removes gas (and overpressure) at `ventRate` per second
+//   source  emits `tile.source = { id, rate }` (amount per second) into the bag matching its phase
+//   electrode  a plate held at `tile.electrode = { voltage }`; current flows between electrodes at
+//              different voltages through conductive contents (see electro.js)
+// An edge between two tiles is as permeable as the less permeable of the two.
+
+export const TILE_KINDS = {
+  open: { permeability: 1, holds: true },
+  wall: { permeability: 0, holds: false },
+  porous: { permeability: 0.2, holds: true },
+  vent: { permeability: 1, holds: true, ventRate: 3 },
+  source: { permeability: 1, holds: true },
+  electrode: { permeability: 1, holds: true }
+};
+
+export function kindOf(tile){
+  return TILE_KINDS[tile?.kind] || TILE_KINDS.open;
+}
+
+export function isTileKind(kind){
+  return Object.prototype.hasOwnProperty.call(TILE_KINDS, kind);
+}
+
+export function permeabilityOf(tile){
+  return kindOf(tile).permeability;
+}
+
+// Writes every tile's permeability into `out` (row-major), reusing the caller's buffer.
+export function fillPermeability(world, out){
+  let uniform = true;
+  for(let y=0;y<world.h;y++) for(let x=0;x<world.w;x++){
+    const p = permeabilityOf(world.grid[y][x]);
+    out[y*world.w+x] = p;
+    if(p !== 1) uniform = false;
+  }
+  return uniform;
+}
+
+// Turns a tile into `kind`; `config` is the source's { id, rate } or the electrode's { voltage }.
+// Walls give up whatever they held.
+export function setTileKind(tile, kind, config = null){
+  if(!isTileKind(kind)) throw new Error(`Unknown tile kind "${kind}"`);
+  tile.kind = kind;
+  tile.source = kind === 'source' && config ? { id: config.id, rate: config.rate } : null;
+  tile.electrode = kind === 'electrode' ? { voltage: config?.voltage || 0 } : null;
+  if(!TILE_KINDS[kind].holds){
+    tile.species = {}; tile.solids = {}; tile.gas = {};
+    tile.overpressure = 0; tile.pressure = 0; tile.ignited = false;
+  }
+}
+
+// Source emission for one tick; `bagOf(id)` picks the bag from the material's phase, or returns
+// null for an id no loaded pack defines, which then emits nothing.
+export function emitSources(world, dt, bagOf){
+  for(let y=0;y<world.h;y++) for(let x=0;x<world.w;x++){
+    const t = world.grid[y][x];
+    if(t.kind !== 'source' || !t.source?.id || !(t.source.rate > 0)) continue;
+    const bag = bagOf(t.source.id);
+    if(!bag) continue;
+    t[bag][t.source.id] = (t[bag][t.source.id] || 0) + t.source.rate * dt;
+  }
+}
@@ -0,0 +1,86 @@
+// Physical units: moles, grams, litres.
+//
+// Every amount in a tile's bags is in moles. Each tile is a control volume of `world.tileVolume`
+// litres (DEFAULT_TILE_VOLUME_L unless the world is built with another), and a concentration is
+// moles per litre of tile. Reaction rates are written against those concentrations (see
+// kinetics.js), so a finer grid over the same bench, with proportionally smaller tiles, gives the
+// same totals. Masses come from each material's formula (or `molarMass_g_mol`), volumes of
+// condensed materials from `density_g_cm3` (or a per-phase default), and gases are ideal.
+
+import { materialMolarMass } from './formula.js';
+
+export const DEFAULT_TILE_VOLUME_L = 1;
+export const GAS_MOLAR_VOLUME_L = 24.05; // ideal gas at 20 °C and 1 atm
+export const AMOUNT_UNITS = ['mol', 'g', 'mol/L'];
+
+const DEFAULT_DENSITY = { s: 2, l: 1, aq: 1 }; // g/cm³
+
+export function tileVolumeOf(world){
+  return world?.tileVolume > 0 ? world.tileVolume : DEFAULT_TILE_VOLUME_L;
+}
+
+// How much faster neighbouring tiles exchange contents than default-sized ones. On a bench of fixed
+// depth a tile's edge squared goes with its volume, and what crosses an edge per tick with
+// 1 / edge², so tiles of a quarter the volume exchange four times as fast.
+export function exchangeScaleOf(world){
+  return DEFAULT_TILE_VOLUME_L / tileVolumeOf(world);
+}
+
+export function createUnits(materialRegistry){
+  const info = new Map();
+  let infoFor = null;
+
+  function infoOf(id){
+    if(infoFor !== materialRegistry.materials){ info.clear(); infoFor = materialRegistry.materials; }
+    let p = info.get(id);
+    if(!p){
+      const mat = materialRegistry.get(id);
+      if(!mat) materialRegistry.reportUnknown(id, 'units');
+      const phase = mat ? materialRegistry.phaseOf(id) : null;
+      p = {
+        gas: phase === 'g',
+        molarMass: materialMolarMass(id, mat),
+        density: mat?.density_g_cm3 > 0 ? mat.density_g_cm3 : (DEFAULT_DENSITY[phase] || 1)
+      };
+      info.set(id, p);
+    }
+    return p;
+  }
+
+  // g/mol, or null when the material has no usable formula.
+  function molarMassOf(id){
+    return infoOf(id).molarMass;
+  }
+
+  function massOf(id, moles){
+    const M = infoOf(id).molarMass;
+    return M ? moles * M : null;
+  }
+
+  function molesFromMass(id, grams){
+    const M = infoOf(id).molarMass;
+    return M ? grams / M : null;
+  }
+
+  // Moles in `mL` of the material as it comes: condensed phases through their density, gases at 1 atm.
+  function molesFromVolume(id, mL){
+    const p = infoOf(id);
+    if(p.gas) return mL / 1000 / GAS_MOLAR_VOLUME_L;
+    return p.molarMass ? mL * p.density / p.molarMass : null;
+  }
+
+  // Litres taken up by `moles` of a condensed material, through its density; null without a molar mass.
+  function litresOf(id, moles){
+    const p = infoOf(id);
+    return p.molarMass ? moles * p.molarMass / p.density / 1000 : null;
+  }
+
+  // `moles` of `id` expressed in one of AMOUNT_UNITS; null if it cannot be converted.
+  function convert(id, moles, unit, volumeL = DEFAULT_TILE_VOLUME_L){
+    if(unit === 'g') return massOf(id, moles);
+    if(unit === 'mol/L') return moles / volumeL;
+    return moles;
+  }
+
+  return { molarMassOf, massOf, molesFromMass, molesFromVolume, litresOf, convert };
+}